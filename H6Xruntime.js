@@ -5,7 +5,7 @@
  * Deterministic, sandboxed, auditable application runtime
  * 
  * Design Principles:
- * - No eval, no Function constructor, no innerHTML injection
+ * - No eval, no Function constructor, no innerHTML (Trusted Types compatible)
  * - Declarative-only markup (data cannot be code)
  * - Memory-safe operations (structuredClone for isolation)
  * - CSP-compliant (no inline event handlers)
@@ -13,701 +13,5867 @@
  */
 
 // ============================================================================
-// STORAGE LAYER
+// EXPRESSION LANGUAGE
 // ============================================================================
 
-class Store {
-  constructor() {
-    this.data = Object.create(null);
-    this.computed = Object.create(null);
-    this.state = Object.create(null);
-    this.schemas = Object.create(null);
+/**
+ * Error raised for malformed computed expressions.
+ * Carries the 1-based column and the offending token text.
+ */
+class ExpressionError extends Error {
+  constructor(message, column, token) {
+    super(`${message} at column ${column}`);
+    this.name = "ExpressionError";
+    this.column = column;
+    this.token = token;
+  }
+}
+
+/**
+ * Built-in computed operators.
+ *
+ * `args` tells the parser what goes between the parentheses:
+ *   none      - no arguments (`users.count`)
+ *   path      - optional property path (`sales.sum(amount)`)
+ *   keys      - sort keys, `-` prefix for descending (`sort(-created, title)`)
+ *   condition - comparisons joined with and/or (`filter(age>=18 and active=true)`)
+ *   number    - a single numeric literal (`limit(10)`)
+ *
+ * A missing or null input makes the whole chain null, except for
+ * operators with a `missing` result (`count` of nothing is 0).
+ */
+const COMPUTED_OPERATORS = {
+  filter: {
+    args: "condition",
+    apply(input, condition, evaluator) {
+      if (!Array.isArray(input)) return null;
+      return input.filter(item => evaluator.test(condition, item));
+    }
+  },
+
+  map: {
+    args: "path",
+    apply(input, path, evaluator) {
+      if (!Array.isArray(input)) return null;
+      return input.map(item => evaluator.read(item, path));
+    }
+  },
+
+  sort: {
+    args: "keys",
+    apply(input, keys, evaluator) {
+      if (!Array.isArray(input)) return null;
+      return input.slice().sort((a, b) => {
+        for (const key of keys) {
+          const order = evaluator.compare(evaluator.read(a, key.path), evaluator.read(b, key.path));
+          if (order !== 0) return key.descending ? -order : order;
+        }
+        return 0;
+      });
+    }
+  },
+
+  count: {
+    args: "none",
+    missing: 0,
+    apply(input) {
+      return Array.isArray(input) ? input.length : 0;
+    }
+  },
+
+  sum: {
+    args: "path",
+    apply(input, path, evaluator) {
+      if (!Array.isArray(input)) return null;
+      return evaluator.numbers(input, path).reduce((total, n) => total + n, 0);
+    }
+  },
+
+  avg: {
+    args: "path",
+    apply(input, path, evaluator) {
+      if (!Array.isArray(input)) return null;
+      const values = evaluator.numbers(input, path);
+      return values.length ? values.reduce((total, n) => total + n, 0) / values.length : null;
+    }
+  },
+
+  min: {
+    args: "path",
+    apply(input, path, evaluator) {
+      if (!Array.isArray(input)) return null;
+      const values = evaluator.numbers(input, path);
+      return values.length ? values.reduce((min, n) => n < min ? n : min) : null;
+    }
+  },
+
+  max: {
+    args: "path",
+    apply(input, path, evaluator) {
+      if (!Array.isArray(input)) return null;
+      const values = evaluator.numbers(input, path);
+      return values.length ? values.reduce((max, n) => n > max ? n : max) : null;
+    }
+  },
+
+  first: {
+    args: "none",
+    apply(input) {
+      return Array.isArray(input) && input.length ? input[0] : null;
+    }
+  },
+
+  last: {
+    args: "none",
+    apply(input) {
+      return Array.isArray(input) && input.length ? input[input.length - 1] : null;
+    }
+  },
+
+  limit: {
+    args: "number",
+    apply(input, n) {
+      return Array.isArray(input) ? input.slice(0, Math.max(0, n)) : null;
+    }
+  }
+};
+
+/**
+ * Tokenizer + recursive-descent parser for computed expressions.
+ *
+ * Grammar:
+ *   chain      := ident ("." step)*
+ *   step       := operator ["(" args ")"] | ident
+ *   condition  := and ("or" and)*
+ *   and        := comparison ("and" comparison)*
+ *   comparison := "(" condition ")" | path [compareOp value]
+ *   compareOp  := "=" | "==" | "!=" | ">" | ">=" | "<" | "<="
+ *   value      := number | string | true | false | null | bare word | $state
+ *
+ * Names starting with "$" refer to h6x-state values, both at the head of a
+ * chain (`$selectedUser.name`) and as comparison values
+ * (`tasks.filter(status=$filterStatus)`).
+ *
+ * The language has no loops, assignment or calls into JavaScript, so every
+ * expression terminates and can only read from the store.
+ */
+class ExpressionParser {
+  constructor(source, operators = COMPUTED_OPERATORS) {
+    this.source = String(source);
+    this.operators = operators;
+    this.tokens = this.tokenize();
+    this.pos = 0;
   }
 
   /**
-   * Load data from <h6x-data> node
+   * Split the source into tokens with 1-based columns
    */
-  load(node) {
-    const name = node.getAttribute("name");
-    const persist = node.getAttribute("persist");
-    const schema = node.getAttribute("schema");
-    const compute = node.getAttribute("compute");
+  tokenize() {
+    const src = this.source;
+    const tokens = [];
+    const number = /-?\d+(?:\.\d+)?(?![\w$-])/y;
+    const word = /[A-Za-z0-9_$][\w$]*(?:-[\w$]+)*/y;
+    const punct = /==|!=|>=|<=|&&|\|\||[.(),=<>-]/y;
+    let i = 0;
 
-    try {
-      if (compute) {
-        // Computed data (derived from other data)
-        this.computed[name] = compute;
-      } else {
-        const payload = JSON.parse(node.textContent.trim());
-        
-        // Validate against schema if provided
-        if (schema && this.schemas[schema]) {
-          this.validate(payload, this.schemas[schema]);
+    while (i < src.length) {
+      if (/\s/.test(src[i])) {
+        i++;
+        continue;
+      }
+
+      const column = i + 1;
+      const quote = src[i];
+
+      if (quote === "'" || quote === "\"") {
+        let value = "";
+        let j = i + 1;
+        while (j < src.length && src[j] !== quote) {
+          if (src[j] === "\\" && j + 1 < src.length) j++;
+          value += src[j++];
         }
+        if (j >= src.length) {
+          throw new ExpressionError("Unterminated string", column, src.slice(i));
+        }
+        tokens.push({ type: "string", value, text: src.slice(i, j + 1), column });
+        i = j + 1;
+        continue;
+      }
 
-        this.data[name] = payload;
+      let match = null;
+      for (const [type, re] of [["number", number], ["ident", word], ["punct", punct]]) {
+        re.lastIndex = i;
+        const m = re.exec(src);
+        if (m) {
+          match = { type, text: m[0] };
+          break;
+        }
+      }
+
+      if (!match) {
+        throw new ExpressionError(`Unexpected character "${src[i]}"`, column, src[i]);
+      }
 
-        // Persist to IndexedDB if requested
-        if (persist === "indexeddb") {
-          this.persistToIndexedDB(name, payload);
+      const value = match.type === "number" ? Number(match.text) : match.text;
+      tokens.push({ type: match.type, value, text: match.text, column });
+      i += match.text.length;
+    }
+
+    tokens.push({ type: "eof", value: null, text: "", column: src.length + 1 });
+    return tokens;
+  }
+
+  /**
+   * Parse the whole expression into an AST
+   */
+  parse() {
+    const ast = this.parseChain();
+    if (this.peek().type !== "eof") this.fail();
+    return ast;
+  }
+
+  parseChain() {
+    const head = this.expectIdent();
+    const ast = { type: "chain", source: head.value, column: head.column, steps: [] };
+
+    while (this.accept(".")) {
+      const name = this.expectIdent();
+      const operator = Object.prototype.hasOwnProperty.call(this.operators, name.value)
+        ? this.operators[name.value]
+        : null;
+
+      if (!operator) {
+        if (this.isPunct("(")) {
+          throw new ExpressionError(`Unknown operator "${name.value}"`, name.column, name.text);
         }
+        ast.steps.push({ type: "property", name: name.value, column: name.column });
+        continue;
+      }
+
+      const step = { type: "operator", name: name.value, column: name.column, args: null };
+
+      if (this.accept("(")) {
+        step.args = this.parseArgs(operator.args, name);
+        this.expect(")");
+      } else if (operator.args === "condition" || operator.args === "keys" || operator.args === "number") {
+        throw new ExpressionError(`Operator "${name.value}" requires arguments`, name.column, name.text);
+      }
+
+      ast.steps.push(step);
+    }
+
+    return ast;
+  }
+
+  parseArgs(kind, name) {
+    switch (kind) {
+      case "none":
+        return null;
+
+      case "path":
+        return this.isPunct(")") ? null : this.parsePath();
+
+      case "number": {
+        const token = this.peek();
+        if (token.type !== "number") this.fail();
+        this.pos++;
+        return token.value;
+      }
+
+      case "keys": {
+        const keys = [];
+        do {
+          const descending = Boolean(this.accept("-"));
+          keys.push({ path: this.parsePath(), descending });
+        } while (this.accept(","));
+        return keys;
+      }
+
+      case "condition":
+        return this.parseOr();
+
+      default:
+        throw new ExpressionError(`Operator "${name.value}" has invalid argument kind "${kind}"`, name.column, name.text);
+    }
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptWord("or") || this.accept("||")) {
+      left = { type: "or", left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseComparison();
+    while (this.acceptWord("and") || this.accept("&&")) {
+      left = { type: "and", left, right: this.parseComparison() };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    if (this.accept("(")) {
+      const inner = this.parseOr();
+      this.expect(")");
+      return inner;
+    }
+
+    const path = this.parsePath();
+    const token = this.peek();
+
+    if (token.type === "punct" && ["=", "==", "!=", ">", ">=", "<", "<="].includes(token.value)) {
+      this.pos++;
+      const op = token.value === "==" ? "=" : token.value;
+      const next = this.peek();
+      if (next.type === "ident" && next.value.startsWith("$")) {
+        this.pos++;
+        return { type: "compare", path, op, value: null, ref: next.value };
+      }
+      return { type: "compare", path, op, value: this.parseValue(), ref: null };
+    }
+
+    return { type: "truthy", path };
+  }
+
+  parseValue() {
+    const token = this.peek();
+
+    if (token.type === "number" || token.type === "string") {
+      this.pos++;
+      return token.value;
+    }
+
+    if (token.type === "ident") {
+      this.pos++;
+      if (token.value === "true") return true;
+      if (token.value === "false") return false;
+      if (token.value === "null") return null;
+      return token.value;
+    }
+
+    return this.fail();
+  }
+
+  parsePath() {
+    const path = [this.expectIdent().value];
+    while (this.accept(".")) {
+      path.push(this.expectIdent().value);
+    }
+    return path;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return token.type === "punct" && token.value === value;
+  }
+
+  accept(value) {
+    if (!this.isPunct(value)) return null;
+    return this.tokens[this.pos++];
+  }
+
+  acceptWord(word) {
+    const token = this.peek();
+    if (token.type !== "ident" || token.value !== word) return null;
+    return this.tokens[this.pos++];
+  }
+
+  expect(value) {
+    return this.accept(value) || this.fail();
+  }
+
+  expectIdent() {
+    const token = this.peek();
+    if (token.type !== "ident") this.fail();
+    this.pos++;
+    return token;
+  }
+
+  fail() {
+    const token = this.peek();
+    if (token.type === "eof") {
+      throw new ExpressionError("Unexpected end of expression", token.column, "");
+    }
+    throw new ExpressionError(`Unexpected token "${token.text}"`, token.column, token.text);
+  }
+}
+
+/**
+ * Walks a parsed expression against a name resolver.
+ * Reads only own properties, so paths can never reach prototypes.
+ */
+class ExpressionEvaluator {
+  constructor(resolve, operators = COMPUTED_OPERATORS) {
+    this.resolve = resolve;
+    this.operators = operators;
+  }
+
+  evaluate(ast) {
+    let value = this.resolve(ast.source);
+
+    for (const step of ast.steps) {
+      if (value === null || value === undefined) {
+        const operator = step.type === "operator" ? this.operators[step.name] : null;
+        if (!operator || operator.missing === undefined) return null;
+        value = operator.missing;
+      } else if (step.type === "property") {
+        value = this.read(value, [step.name]);
+      } else {
+        value = this.operators[step.name].apply(value, step.args, this);
       }
-      
-      node.remove(); // Clean up DOM
-    } catch (err) {
-      console.error(`[H6X] Failed to load data "${name}":`, err);
     }
+
+    return value === undefined ? null : value;
   }
 
   /**
-   * Load state from <h6x-state> node
+   * Read a property path from a value (null path returns the value itself)
    */
-  loadState(node) {
-    const name = node.getAttribute("name");
-    const initial = node.getAttribute("initial");
-    this.state[name] = initial || null;
-    node.remove();
+  read(value, path) {
+    if (!path) return value;
+    let current = value;
+    for (const key of path) {
+      if (current === null || typeof current !== "object" ||
+          !Object.prototype.hasOwnProperty.call(current, key)) {
+        return undefined;
+      }
+      current = current[key];
+    }
+    return current;
   }
 
   /**
-   * Get data by name (returns deep clone for safety)
+   * Evaluate a filter condition against one item
    */
-  get(name) {
-    // Check computed data first
-    if (this.computed[name]) {
-      return this.evalComputed(this.computed[name]);
+  test(node, item) {
+    switch (node.type) {
+      case "or":
+        return this.test(node.left, item) || this.test(node.right, item);
+      case "and":
+        return this.test(node.left, item) && this.test(node.right, item);
+      case "truthy":
+        return Boolean(this.read(item, node.path));
+      case "compare":
+        return this.compareWith(
+          this.read(item, node.path),
+          node.op,
+          node.ref ? this.resolve(node.ref) : node.value
+        );
+      default:
+        return false;
     }
-    
-    if (!this.data[name]) {
-      console.warn(`[H6X] Data "${name}" not found`);
-      return null;
+  }
+
+  compareWith(actual, op, expected) {
+    switch (op) {
+      case "=":
+        return this.equals(actual, expected);
+      case "!=":
+        return !this.equals(actual, expected);
     }
-    
-    return structuredClone(this.data[name]);
+
+    if (actual === null || actual === undefined || expected === null) return false;
+    const order = this.compare(actual, expected);
+    if (op === ">") return order > 0;
+    if (op === ">=") return order >= 0;
+    if (op === "<") return order < 0;
+    return order <= 0;
   }
 
   /**
-   * Get state value
+   * Equality across the literal types the parser produces: `id=1`
+   * matches both 1 and "1", `active=true` matches true and "true"
    */
-  getState(name) {
-    return this.state[name];
+  equals(a, b) {
+    if (a === b) return true;
+    if (a === null || a === undefined || b === null || b === undefined) {
+      return (a === null || a === undefined) && (b === null || b === undefined);
+    }
+    if (typeof a === "object" || typeof b === "object") return false;
+    return String(a) === String(b);
   }
 
   /**
-   * Set state value
+   * Total ordering used by sort and comparisons; nulls sort last
    */
-  setState(name, value) {
-    this.state[name] = value;
-    // Trigger re-render for components watching this state
-    this.notifyStateChange(name);
+  compare(a, b) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+
+    const na = typeof a === "number" ? a : Number(a);
+    const nb = typeof b === "number" ? b : Number(b);
+    if (typeof a !== "boolean" && typeof b !== "boolean" &&
+        a !== "" && b !== "" && !Number.isNaN(na) && !Number.isNaN(nb)) {
+      return na === nb ? 0 : (na < nb ? -1 : 1);
+    }
+
+    const sa = String(a);
+    const sb = String(b);
+    return sa === sb ? 0 : (sa < sb ? -1 : 1);
   }
 
   /**
-   * Evaluate computed data expression
-   * Uses restricted expression language (no arbitrary JS)
+   * Collect finite numbers from items (optionally at a path)
    */
-  evalComputed(expr) {
-    // Simple filter expression: "users.filter(active=true)"
-    const filterMatch = expr.match(/(\w+)\.filter\((\w+)=(\w+)\)/);
-    if (filterMatch) {
-      const [, dataName, key, value] = filterMatch;
-      const data = this.data[dataName];
-      if (!data) return null;
-      
-      return data.filter(item => {
-        if (value === "true") return item[key] === true;
-        if (value === "false") return item[key] === false;
-        return item[key] === value;
+  numbers(items, path) {
+    return items
+      .map(item => this.read(item, path))
+      .map(value => (typeof value === "number" ? value : Number(value)))
+      .filter(value => Number.isFinite(value));
+  }
+}
+
+// ============================================================================
+// SCHEMA VALIDATION
+// ============================================================================
+
+/**
+ * Error raised when data fails schema validation.
+ * `errors` is the full list of { path, rule, message } entries.
+ */
+class ValidationError extends Error {
+  constructor(errors, name) {
+    const first = errors[0];
+    super(`${name ? `"${name}" ` : ""}failed validation: ${first.path} ${first.message}` +
+      (errors.length > 1 ? ` (+${errors.length - 1} more)` : ""));
+    this.name = "ValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * JSON-Schema subset validator.
+ *
+ * Supported keywords: type, enum, const, required, properties,
+ * additionalProperties, items, minItems, maxItems, uniqueItems,
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength,
+ * maxLength, pattern, format, $ref (by registered schema name).
+ *
+ * Collects every failure instead of stopping at the first, so reports
+ * can show all problems in one pass.
+ */
+class SchemaValidator {
+  constructor(schemas = {}) {
+    this.schemas = schemas; // name -> schema, for $ref
+  }
+
+  /**
+   * Validate a value; returns an array of { path, rule, message }
+   */
+  validate(value, schema, path = "$") {
+    const errors = [];
+    this.check(value, schema, path, errors, new Set());
+    return errors;
+  }
+
+  /**
+   * Validate an h6x-data payload. An array checked against a non-array
+   * schema validates each item, so `schema="task"` works for a task list.
+   */
+  validateDataSet(data, schema) {
+    const perItem = Array.isArray(data) && schema.type !== "array" &&
+      !(Array.isArray(schema.type) && schema.type.includes("array"));
+
+    return perItem
+      ? data.flatMap((item, i) => this.validate(item, schema, `$[${i}]`))
+      : this.validate(data, schema);
+  }
+
+  check(value, schema, path, errors, seen) {
+    if (!schema || typeof schema !== "object") return;
+
+    if (schema.$ref) {
+      const target = this.schemas[schema.$ref];
+      if (!target) {
+        errors.push({ path, rule: "$ref", message: `references unknown schema "${schema.$ref}"` });
+        return;
+      }
+      const key = `${schema.$ref}@${path}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      this.check(value, target, path, errors, seen);
+      return;
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this.isType(value, type))) {
+        errors.push({ path, rule: "type", message: `must be ${types.join(" or ")}` });
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => this.same(option, value))) {
+      errors.push({
+        path,
+        rule: "enum",
+        message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`
       });
     }
 
-    // Simple count: "users.count"
-    const countMatch = expr.match(/(\w+)\.count/);
-    if (countMatch) {
-      const [, dataName] = countMatch;
-      const data = this.data[dataName];
-      return Array.isArray(data) ? data.length : 0;
+    if ("const" in schema && !this.same(schema.const, value)) {
+      errors.push({ path, rule: "const", message: `must equal ${JSON.stringify(schema.const)}` });
     }
 
-    return null;
+    if (typeof value === "number") this.checkNumber(value, schema, path, errors);
+    if (typeof value === "string") this.checkString(value, schema, path, errors);
+    if (Array.isArray(value)) this.checkArray(value, schema, path, errors, seen);
+    else if (value !== null && typeof value === "object") this.checkObject(value, schema, path, errors, seen);
+  }
+
+  checkNumber(value, schema, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, rule: "minimum", message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, rule: "maximum", message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, rule: "exclusiveMinimum", message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path, rule: "exclusiveMaximum", message: `must be < ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  checkString(value, schema, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, rule: "minLength", message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, rule: "maxLength", message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined) {
+      let pattern;
+      try {
+        pattern = new RegExp(schema.pattern, "u");
+      } catch (err) {
+        errors.push({ path, rule: "pattern", message: `has invalid pattern ${schema.pattern}` });
+        return;
+      }
+      if (!pattern.test(value)) {
+        errors.push({ path, rule: "pattern", message: `must match ${schema.pattern}` });
+      }
+    }
+    if (schema.format !== undefined && !this.isFormat(value, schema.format)) {
+      errors.push({ path, rule: "format", message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  checkArray(value, schema, path, errors, seen) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, rule: "minItems", message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, rule: "maxItems", message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.uniqueItems) {
+      const keys = value.map(item => JSON.stringify(item));
+      if (new Set(keys).size !== keys.length) {
+        errors.push({ path, rule: "uniqueItems", message: "must not contain duplicates" });
+      }
+    }
+    if (schema.items) {
+      value.forEach((item, i) => this.check(item, schema.items, `${path}[${i}]`, errors, seen));
+    }
+  }
+
+  checkObject(value, schema, path, errors, seen) {
+    // As in JSON Schema, required only asks for the key: null and "" are
+    // left to type and minLength
+    (schema.required || []).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(value, key) || value[key] === undefined) {
+        errors.push({ path: this.join(path, key), rule: "required", message: "is required" });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        if (value[key] !== undefined) {
+          this.check(value[key], properties[key], this.join(path, key), errors, seen);
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: this.join(path, key), rule: "additionalProperties", message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        this.check(value[key], schema.additionalProperties, this.join(path, key), errors, seen);
+      }
+    });
+  }
+
+  isType(value, type) {
+    switch (type) {
+      case "string": return typeof value === "string";
+      case "number": return typeof value === "number" && Number.isFinite(value);
+      case "integer": return Number.isInteger(value);
+      case "boolean": return typeof value === "boolean";
+      case "array": return Array.isArray(value);
+      case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+      case "null": return value === null;
+      default: return false;
+    }
+  }
+
+  isFormat(value, format) {
+    switch (format) {
+      case "email":
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+      case "date": {
+        const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (!m) return false;
+        const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+        return date.getUTCFullYear() === +m[1] && date.getUTCMonth() === +m[2] - 1 && date.getUTCDate() === +m[3];
+      }
+      case "date-time":
+        return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+          !Number.isNaN(Date.parse(value));
+      case "time":
+        return /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+      case "uri":
+      case "url":
+        return /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i.test(value);
+      default:
+        return true; // Unknown formats are not enforced
+    }
+  }
+
+  same(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  join(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+  }
+}
+
+// ============================================================================
+// STORAGE LAYER
+// ============================================================================
+
+/**
+ * Promise wrapper around the "h6x_runtime" IndexedDB database.
+ * Records are { name, data, version, timestamp } keyed by name.
+ * Shared by Store and the atomic runtime's NucleusManager.
+ */
+class IndexedDBBackend {
+  constructor(dbName = "h6x_runtime", storeName = "h6x_data") {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  available() {
+    return typeof indexedDB !== "undefined";
+  }
+
+  /**
+   * Open (once) and upgrade the database
+   */
+  open() {
+    if (this.db) return this.db;
+
+    this.db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+      request.onblocked = () => reject(new Error(`IndexedDB "${this.dbName}" is blocked by another tab`));
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: "name" });
+        }
+      };
+    });
+
+    this.db.catch(() => { this.db = null; });
+    return this.db;
+  }
+
+  async get(name) {
+    const db = await this.open();
+    const tx = db.transaction(this.storeName, "readonly");
+    return this.request(tx.objectStore(this.storeName).get(name));
+  }
+
+  /**
+   * Write a record; resolves once the transaction has committed
+   */
+  async put(record) {
+    const db = await this.open();
+    const tx = db.transaction(this.storeName, "readwrite");
+    tx.objectStore(this.storeName).put(record);
+    return this.complete(tx);
+  }
+
+  /**
+   * Every record, in key order
+   */
+  async getAll() {
+    const db = await this.open();
+    const tx = db.transaction(this.storeName, "readonly");
+    return this.request(tx.objectStore(this.storeName).getAll());
+  }
+
+  async delete(name) {
+    const db = await this.open();
+    const tx = db.transaction(this.storeName, "readwrite");
+    tx.objectStore(this.storeName).delete(name);
+    return this.complete(tx);
+  }
+
+  /**
+   * Close the connection and delete the database
+   */
+  async destroy() {
+    if (this.db) {
+      (await this.db).close();
+      this.db = null;
+    }
+    await this.request(indexedDB.deleteDatabase(this.dbName));
+  }
+
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  complete(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    });
+  }
+}
+
+/**
+ * A failed remote fetch. `retryable` marks network errors, timeouts,
+ * 408/429 and 5xx responses.
+ */
+class RemoteError extends Error {
+  constructor(message, { status = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = "RemoteError";
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter; // ms from a Retry-After header
+  }
+}
+
+/**
+ * Fetches one remote data set as JSON. Each attempt is aborted after
+ * `timeout` ms; retryable failures are retried up to `retries` times
+ * with exponential backoff (retryDelay, 2x, 4x, ...). A known ETag is
+ * sent as If-None-Match, and a 304 resolves to { notModified: true }.
+ */
+class RemoteSource {
+  constructor(url, { timeout = 10000, retries = 3, retryDelay = 500 } = {}) {
+    this.url = url;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+  }
+
+  /**
+   * Parse "500ms", "30s", "5m" or "1h" (bare numbers are ms).
+   * Returns `fallback` when the value is missing or malformed.
+   */
+  static duration(value, fallback = 0) {
+    const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(String(value || "").trim());
+    if (!match) return fallback;
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    return Number(match[1]) * units[match[2] || "ms"];
+  }
+
+  /**
+   * Resolves to { data, etag } or { notModified: true, etag }
+   */
+  async fetch(etag = null) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.request(etag);
+      } catch (err) {
+        if (!(err instanceof RemoteError) || !err.retryable || attempt >= this.retries) throw err;
+        const delay = err.retryAfter !== null ? err.retryAfter : this.retryDelay * 2 ** attempt;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async request(etag) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    const timedOut = () => new RemoteError(`Timed out after ${this.timeout}ms`, { retryable: true });
+
+    try {
+      const headers = { Accept: "application/json" };
+      if (etag) headers["If-None-Match"] = etag;
+
+      let response;
+      try {
+        // no-store: revalidation is ours, so a 304 reaches us unchanged
+        response = await fetch(this.url, { headers, signal: controller.signal, credentials: "same-origin", cache: "no-store" });
+      } catch (err) {
+        throw controller.signal.aborted ? timedOut() : new RemoteError(`Network error: ${err.message}`, { retryable: true });
+      }
+
+      if (response.status === 304) return { notModified: true, etag };
+
+      if (!response.ok) {
+        const status = response.status;
+        const seconds = parseInt(response.headers.get("Retry-After"), 10);
+        throw new RemoteError(`HTTP ${status} from ${this.url}`, {
+          status,
+          retryable: status >= 500 || status === 408 || status === 429,
+          retryAfter: Number.isNaN(seconds) ? null : Math.min(seconds, 60) * 1000 // Capped at a minute
+        });
+      }
+
+      try {
+        return { data: await response.json(), etag: response.headers.get("ETag") };
+      } catch (err) {
+        if (controller.signal.aborted) throw timedOut();
+        throw new RemoteError(`Response from ${this.url} is not valid JSON`);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+class Store {
+  // `win` receives the h6x:* events; without one (Node) they are skipped
+  constructor(win = globalThis.window) {
+    this.window = win;
+    this.data = Object.create(null);
+    this.computed = Object.create(null);
+    this.state = Object.create(null);
+    this.schemas = Object.create(null);
+    this.meta = Object.create(null); // name -> { key, schema, persist, version }
+    this.seeds = Object.create(null); // name -> inline JSON as loaded
+    this.migrations = Object.create(null); // name -> [{ version, migrate }]
+    this.backend = new IndexedDBBackend();
+    this.writes = new Set(); // In-flight persistence writes
+    this.operators = Object.assign(Object.create(null), COMPUTED_OPERATORS);
+    this.expressions = new Map(); // Parsed expression cache
+    this.evaluating = new Set(); // Computed names being evaluated (cycle guard)
+    this.remote = Object.create(null); // name -> { source, refresh, cache, etag, status, error, ... }
+    this.history = new History(this);
+
+    // Dependency graph. Keys are data/computed names, or "$name" for state.
+    this.dependents = new Map(); // key -> Set of computed names reading it
+    this.cache = new Map(); // computed name -> last evaluated value
+    this.subscribers = new Set();
+  }
+
+  /**
+   * Load data from <h6x-data> node
+   */
+  load(node) {
+    const name = node.getAttribute("name");
+    const persist = node.getAttribute("persist");
+    const schema = node.getAttribute("schema");
+    const compute = node.getAttribute("compute");
+
+    try {
+      if (compute) {
+        // Computed data (derived from other data); parse now so syntax
+        // errors surface at load time rather than on first render
+        this.compile(compute);
+        this.computed[name] = compute;
+        this.dependenciesOf(compute).forEach(dep => {
+          if (!this.dependents.has(dep)) this.dependents.set(dep, new Set());
+          this.dependents.get(dep).add(name);
+        });
+      } else if (node.hasAttribute("src")) {
+        this.loadRemote(node);
+      } else {
+        const payload = JSON.parse(node.textContent.trim());
+
+        // Validate against schema if provided
+        if (schema) {
+          this.validate(payload, schema, name);
+        }
+
+        this.data[name] = payload;
+        this.seeds[name] = structuredClone(payload);
+        this.meta[name] = {
+          key: node.getAttribute("key") || "id",
+          schema,
+          persist,
+          version: parseInt(node.getAttribute("version"), 10) || 1
+        };
+
+        // persist="indexeddb" data is hydrated (or seeded) by hydrate()
+      }
+      
+      node.remove(); // Clean up DOM
+    } catch (err) {
+      console.error(`[H6X] Failed to load data "${name}":`, err);
+    }
+  }
+
+  /**
+   * Register <h6x-data src="..."> (fetched by connect()). Inline JSON,
+   * if any, is shown until the first response arrives.
+   */
+  loadRemote(node) {
+    const name = node.getAttribute("name");
+    const url = new URL(node.getAttribute("src"), this.window ? this.window.document.baseURI : undefined);
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      throw new Error(`src must be an http(s) URL, got "${url.protocol}"`);
+    }
+
+    const cache = node.getAttribute("cache") || "no-store";
+    if (!["no-store", "stale-while-revalidate"].includes(cache)) {
+      throw new Error(`Unknown cache mode "${cache}" (use no-store or stale-while-revalidate)`);
+    }
+
+    if (node.getAttribute("persist")) {
+      console.warn(`[H6X] persist is ignored for remote data "${name}" - use cache="stale-while-revalidate"`);
+    }
+
+    const text = node.textContent.trim();
+    if (text) this.data[name] = JSON.parse(text);
+
+    this.meta[name] = {
+      key: node.getAttribute("key") || "id",
+      schema: node.getAttribute("schema"),
+      persist: null,
+      version: parseInt(node.getAttribute("version"), 10) || 1
+    };
+
+    const retries = parseInt(node.getAttribute("retries"), 10);
+    this.remote[name] = {
+      source: new RemoteSource(url.href, {
+        timeout: RemoteSource.duration(node.getAttribute("timeout"), 10000),
+        retries: Number.isNaN(retries) ? 3 : Math.max(0, retries),
+        retryDelay: RemoteSource.duration(node.getAttribute("retry-delay"), 500)
+      }),
+      refresh: RemoteSource.duration(node.getAttribute("refresh"), 0),
+      cache,
+      etag: null,
+      status: "idle", // idle | loading | ready | error
+      error: null,
+      updatedAt: null, // When the data last matched the server
+      timer: null,
+      pending: null
+    };
+  }
+
+  /**
+   * Fetch every remote data set now and start their refresh timers.
+   * Polling skips ticks while the page is hidden.
+   */
+  connect() {
+    Object.keys(this.remote).forEach(name => {
+      const remote = this.remote[name];
+      this.refresh(name);
+
+      if (remote.refresh > 0 && !remote.timer) {
+        remote.timer = setInterval(() => {
+          if (!this.window || !this.window.document.hidden) this.refresh(name);
+        }, remote.refresh);
+      }
+    });
+  }
+
+  /**
+   * Stop refresh timers
+   */
+  disconnect() {
+    Object.values(this.remote).forEach(remote => {
+      clearInterval(remote.timer);
+      remote.timer = null;
+    });
+  }
+
+  /**
+   * Revalidate a remote data set. Concurrent calls share one request;
+   * failures keep the current data and set the "error" status.
+   */
+  refresh(name) {
+    const remote = this.remote[name];
+    if (!remote) return Promise.reject(new Error(`Data "${name}" has no src`));
+
+    if (!remote.pending) {
+      remote.pending = this.fetchRemote(name).finally(() => { remote.pending = null; });
+    }
+    return remote.pending;
+  }
+
+  async fetchRemote(name) {
+    const remote = this.remote[name];
+    this.setStatus(name, "loading");
+
+    let result;
+    try {
+      result = await remote.source.fetch(remote.etag);
+      if (!result.notModified && this.meta[name].schema) {
+        this.validate(result.data, this.meta[name].schema, name);
+      }
+    } catch (err) {
+      console.error(`[H6X] Failed to fetch "${name}":`, err.message);
+      this.setStatus(name, "error", err);
+      return;
+    }
+
+    remote.updatedAt = Date.now();
+
+    if (result.notModified) {
+      this.setStatus(name, "ready");
+      return;
+    }
+
+    this.history.record("data", name, "fetch", result.data, this.data[name]);
+    this.data[name] = result.data;
+    remote.etag = result.etag;
+    if (remote.cache === "stale-while-revalidate") {
+      const write = this.cacheRemote(name);
+      this.writes.add(write);
+      write.then(() => this.writes.delete(write));
+    }
+
+    this.notifyDataChange(name, "fetch");
+    this.setStatus(name, "ready", null, true);
+  }
+
+  /**
+   * Update a remote data set's status. Atoms re-render only when what
+   * they show changes: new data, or the placeholder shown before any
+   * data has arrived (loading, then possibly an error).
+   */
+  setStatus(name, status, error = null, dataChanged = false) {
+    const remote = this.remote[name];
+    const shown = () => name in this.data ? "data" : remote.status === "error" ? `error:${remote.error}` : "loading";
+
+    const before = shown();
+    remote.status = status;
+    remote.error = error ? error.message : null;
+
+    this.emit("h6x:data-status", { name, status, error: remote.error });
+
+    if (dataChanged || shown() !== before) this.changed([name]);
+  }
+
+  /**
+   * Status of a remote data set: { status, error, updatedAt, hasData },
+   * or null for inline data
+   */
+  statusOf(name) {
+    const remote = this.remote[name];
+    if (!remote) return null;
+    return { status: remote.status, error: remote.error, updatedAt: remote.updatedAt, hasData: name in this.data };
+  }
+
+  /**
+   * Remote data sets `names` read, directly or through computed data
+   */
+  remoteSourcesOf(names, seen = new Set()) {
+    const found = [];
+    names.forEach(name => {
+      if (seen.has(name)) return;
+      seen.add(name);
+      if (this.remote[name]) found.push(name);
+      if (this.computed[name]) found.push(...this.remoteSourcesOf(this.dependenciesOf(this.computed[name]), seen));
+    });
+    return found;
+  }
+
+  async cacheRemote(name) {
+    if (!this.backend.available()) return;
+    try {
+      await this.backend.put({
+        name: `remote:${name}`,
+        data: this.data[name],
+        etag: this.remote[name].etag,
+        version: this.meta[name].version,
+        timestamp: Date.now()
+      });
+    } catch (err) {
+      console.error(`[H6X] Failed to cache "${name}":`, err);
+    }
+  }
+
+  /**
+   * Show a cached response until the first revalidation (cache hit
+   * from a different version or failing the schema is ignored)
+   */
+  async hydrateRemote(name) {
+    const stored = await this.backend.get(`remote:${name}`);
+    if (!stored || stored.version !== this.meta[name].version) return;
+
+    if (this.meta[name].schema) {
+      try {
+        this.validate(stored.data, this.meta[name].schema, name);
+      } catch (err) {
+        return;
+      }
+    }
+
+    this.data[name] = stored.data;
+    this.remote[name].etag = stored.etag || null;
+    this.remote[name].updatedAt = stored.timestamp;
+    this.changed([name]);
+  }
+
+  /**
+   * Register a schema from <h6x-schema> node
+   */
+  loadSchema(node) {
+    const name = node.getAttribute("name");
+
+    try {
+      this.schemas[name] = JSON.parse(node.textContent.trim());
+      node.remove();
+    } catch (err) {
+      console.error(`[H6X] Failed to load schema "${name}":`, err);
+    }
+  }
+
+  /**
+   * Load state from <h6x-state> node
+   */
+  loadState(node) {
+    const name = node.getAttribute("name");
+    const initial = node.getAttribute("initial");
+    this.state[name] = initial || null;
+    node.remove();
+  }
+
+  /**
+   * Get data by name (returns deep clone for safety)
+   */
+  get(name) {
+    // Check computed data first
+    if (this.computed[name]) {
+      return structuredClone(this.computedValue(name));
+    }
+
+    if (!this.data[name]) {
+      // Remote data that has not arrived yet is expected to be missing
+      if (!this.remote[name]) console.warn(`[H6X] Data "${name}" not found`);
+      return null;
+    }
+    
+    return structuredClone(this.data[name]);
+  }
+
+  /**
+   * Get state value
+   */
+  getState(name) {
+    return this.state[name];
+  }
+
+  /**
+   * Set state value
+   */
+  setState(name, value) {
+    if (Object.is(this.state[name], value)) return;
+    this.history.record("state", name, "set", value, this.state[name]);
+    this.state[name] = value;
+    // Trigger re-render for components watching this state
+    this.notifyStateChange(name);
+    this.changed(["$" + name]);
+  }
+
+  /**
+   * Replace a data set wholesale
+   */
+  set(name, value) {
+    this.commit(name, structuredClone(value), "set");
+  }
+
+  /**
+   * Insert a record into an array data set. A missing key is assigned
+   * the next integer after the largest numeric key.
+   */
+  insert(name, record) {
+    const rows = this.rows(name);
+    const key = this.keyOf(name);
+    const item = structuredClone(record);
+
+    if (item[key] === undefined || item[key] === null || item[key] === "") {
+      // A loop, not Math.max(...ids): spreading 100k+ ids overflows the stack
+      const max = rows.reduce((top, row) => typeof row[key] === "number" && row[key] > top ? row[key] : top, -Infinity);
+      item[key] = max === -Infinity ? 1 : max + 1;
+    } else if (this.indexOf(rows, key, item[key]) !== -1) {
+      throw new Error(`Duplicate ${key} "${item[key]}" in "${name}"`);
+    }
+
+    this.commit(name, rows.concat([item]), "insert", { index: rows.length, removed: [], added: [item] });
+    return structuredClone(item);
+  }
+
+  /**
+   * Merge changes into the record with the given key
+   */
+  update(name, id, changes) {
+    const rows = this.rows(name);
+    const key = this.keyOf(name);
+    const index = this.indexOf(rows, key, id);
+
+    if (index === -1) {
+      console.warn(`[H6X] No record with ${key} "${id}" in "${name}"`);
+      return null;
+    }
+
+    const item = Object.assign({}, rows[index], structuredClone(changes));
+    item[key] = rows[index][key];
+
+    const next = rows.slice();
+    next[index] = item;
+    this.commit(name, next, "update", { index, removed: [rows[index]], added: [item] });
+    return structuredClone(item);
+  }
+
+  /**
+   * Remove the record with the given key
+   */
+  remove(name, id) {
+    const rows = this.rows(name);
+    const key = this.keyOf(name);
+    const index = this.indexOf(rows, key, id);
+
+    if (index === -1) return false;
+
+    this.commit(name, rows.filter((_, i) => i !== index), "remove", { index, removed: [rows[index]], added: [] });
+    return true;
+  }
+
+  /**
+   * Update the record if its key exists, otherwise insert it
+   */
+  upsert(name, record) {
+    const key = this.keyOf(name);
+    const id = record[key];
+
+    if (id !== undefined && id !== null && id !== "" &&
+        this.indexOf(this.rows(name), key, id) !== -1) {
+      return this.update(name, id, record);
+    }
+    return this.insert(name, record);
+  }
+
+  /**
+   * Array data set targeted by a mutation
+   */
+  rows(name) {
+    if (this.computed[name]) {
+      throw new Error(`Cannot mutate computed data "${name}"`);
+    }
+    if (!Array.isArray(this.data[name])) {
+      throw new Error(`Data "${name}" is not an array data set`);
+    }
+    return this.data[name];
+  }
+
+  /**
+   * Key field of a data set (the `key` attribute, default "id")
+   */
+  keyOf(name) {
+    return (this.meta[name] && this.meta[name].key) || "id";
+  }
+
+  /**
+   * Find a record by key; "3" and 3 match so form values can address rows
+   */
+  indexOf(rows, key, id) {
+    return rows.findIndex(row => row[key] === id || String(row[key]) === String(id));
+  }
+
+  /**
+   * Validate, store, persist and propagate a new version of a data set.
+   * Row edits pass the `change` that turns the old rows into `next`, so
+   * the history logs one row instead of the whole data set.
+   */
+  commit(name, next, op, change = null) {
+    const meta = this.meta[name] || {};
+
+    if (meta.schema) {
+      this.validate(next, meta.schema, name);
+    }
+
+    this.history.record("data", name, op, next, this.data[name], change);
+    this.data[name] = next;
+    this.save(name);
+    this.notifyDataChange(name, op);
+    this.changed([name]);
+  }
+
+  /**
+   * Write a value from the history log (undo, redo, restore, replay).
+   * Not validated, since it was valid when logged, and not logged again.
+   */
+  apply(type, name, value, op) {
+    if (type === "state") {
+      this.state[name] = structuredClone(value);
+      this.notifyStateChange(name);
+      this.changed(["$" + name]);
+      return;
+    }
+
+    this.data[name] = value;
+    this.save(name);
+    this.notifyDataChange(name, op);
+    this.changed([name]);
+  }
+
+  /**
+   * Persist a data set stored in IndexedDB, tracking the write for flush()
+   */
+  save(name) {
+    if (!this.meta[name] || this.meta[name].persist !== "indexeddb") return;
+
+    const write = this.persistToIndexedDB(name, this.data[name]);
+    this.writes.add(write);
+    write.then(() => this.writes.delete(write));
+  }
+
+  /**
+   * Subscribe to changes of data/computed names or "$state" keys.
+   * Returns an unsubscribe function.
+   */
+  subscribe(keys, callback) {
+    const subscriber = { keys: new Set(keys), callback };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  /**
+   * Propagate a change through the dependency graph: drop cached values of
+   * every computed entry downstream of `keys`, then notify subscribers
+   * watching any affected key
+   */
+  changed(keys) {
+    const affected = new Set(keys);
+    const queue = [...keys];
+
+    while (queue.length > 0) {
+      const key = queue.shift();
+      (this.dependents.get(key) || []).forEach(dependent => {
+        if (!affected.has(dependent)) {
+          affected.add(dependent);
+          queue.push(dependent);
+        }
+      });
+    }
+
+    affected.forEach(key => this.cache.delete(key));
+
+    this.subscribers.forEach(subscriber => {
+      for (const key of subscriber.keys) {
+        if (affected.has(key)) {
+          subscriber.callback(affected);
+          return;
+        }
+      }
+    });
+
+    return affected;
+  }
+
+  /**
+   * Names an expression reads: its head plus any "$state" comparison values
+   */
+  dependenciesOf(expr) {
+    const ast = this.compile(expr);
+    const names = new Set([ast.source]);
+
+    const visit = (node) => {
+      if (!node || typeof node !== "object") return;
+      if (node.type === "compare" && node.ref) names.add(node.ref);
+      Object.values(node).forEach(visit);
+    };
+    ast.steps.forEach(step => visit(step.args));
+
+    return names;
+  }
+
+  /**
+   * Parse an expression (cached). Throws ExpressionError on bad syntax.
+   */
+  compile(expr) {
+    let ast = this.expressions.get(expr);
+    if (!ast) {
+      ast = new ExpressionParser(expr, this.operators).parse();
+      this.expressions.set(expr, ast);
+    }
+    return ast;
+  }
+
+  /**
+   * Evaluate computed data expression
+   * Uses restricted expression language (no arbitrary JS)
+   */
+  evalComputed(expr) {
+    return structuredClone(this.evaluate(expr));
+  }
+
+  /**
+   * Evaluate an expression without cloning the result (internal use)
+   */
+  evaluate(expr) {
+    const ast = this.compile(expr);
+    const evaluator = new ExpressionEvaluator(name => this.resolveSource(name), this.operators);
+    return evaluator.evaluate(ast);
+  }
+
+  /**
+   * Value of a named computed entry, evaluated at most once per change.
+   * Cycles resolve to null.
+   */
+  computedValue(name) {
+    if (this.cache.has(name)) return this.cache.get(name);
+
+    if (this.evaluating.has(name)) {
+      console.error(`[H6X] Circular computed data "${name}"`);
+      return null;
+    }
+
+    this.evaluating.add(name);
+    try {
+      const value = this.evaluate(this.computed[name]);
+      this.cache.set(name, value);
+      return value;
+    } finally {
+      this.evaluating.delete(name);
+    }
+  }
+
+  /**
+   * Resolve a name used in an expression: "$name" reads state,
+   * anything else reads computed or plain data
+   */
+  resolveSource(name) {
+    if (name.startsWith("$")) {
+      const value = this.state[name.slice(1)];
+      return value === undefined ? null : value;
+    }
+
+    if (this.computed[name]) return this.computedValue(name);
+
+    return name in this.data ? this.data[name] : null;
+  }
+
+  /**
+   * Validate data against a schema (object or registered name).
+   * Throws ValidationError listing every failure.
+   */
+  validate(data, schema, name) {
+    const resolved = typeof schema === "string" ? this.schemas[schema] : schema;
+
+    if (!resolved) {
+      console.warn(`[H6X] Schema "${schema}" not found`);
+      return true;
+    }
+
+    const errors = new SchemaValidator(this.schemas).validateDataSet(data, resolved);
+
+    if (errors.length > 0) {
+      errors.forEach(e => console.error(`[H6X] ${name || "data"} ${e.path} ${e.message} (${e.rule})`));
+      this.notifyValidationError(name, errors);
+      throw new ValidationError(errors, name);
+    }
+
+    return true;
+  }
+
+  /**
+   * Replace persisted data sets with their stored copies. Runs once at
+   * boot, before the first render; data sets with nothing stored are
+   * seeded from their inline JSON.
+   */
+  async hydrate() {
+    const names = Object.keys(this.meta).filter(name => this.meta[name].persist === "indexeddb");
+    const cached = Object.keys(this.remote).filter(name => this.remote[name].cache === "stale-while-revalidate");
+    if (names.length === 0 && cached.length === 0) return;
+
+    if (!this.backend.available()) {
+      console.warn("[H6X] IndexedDB unavailable - persisted data will not survive reloads");
+      return;
+    }
+
+    for (const name of names) {
+      try {
+        await this.hydrateOne(name);
+      } catch (err) {
+        console.error(`[H6X] Failed to hydrate "${name}":`, err);
+      }
+    }
+
+    for (const name of cached) {
+      try {
+        await this.hydrateRemote(name);
+      } catch (err) {
+        console.error(`[H6X] Failed to read cached "${name}":`, err);
+      }
+    }
+  }
+
+  async hydrateOne(name) {
+    const meta = this.meta[name];
+    const stored = await this.backend.get(name);
+
+    if (!stored) {
+      await this.persistToIndexedDB(name, this.data[name]);
+      return;
+    }
+
+    const from = stored.version || 1;
+    let data = this.migrate(name, stored.data, from, meta.version);
+
+    if (meta.schema) {
+      try {
+        this.validate(data, meta.schema, name);
+      } catch (err) {
+        console.error(`[H6X] Stored "${name}" fails its schema - using inline data instead`);
+        data = structuredClone(this.seeds[name]);
+      }
+    }
+
+    this.data[name] = data;
+    if (from !== meta.version) {
+      await this.persistToIndexedDB(name, data);
+    }
+    this.changed([name]);
+  }
+
+  /**
+   * Register a migration that upgrades stored data to `version`
+   * (from version - 1). Register before boot() runs.
+   */
+  registerMigration(name, version, migrate) {
+    if (!this.migrations[name]) this.migrations[name] = [];
+    this.migrations[name].push({ version, migrate });
+    this.migrations[name].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Run registered migrations for versions in (from, to]
+   */
+  migrate(name, data, from, to) {
+    if (from > to) {
+      console.warn(`[H6X] Stored "${name}" is version ${from}, newer than declared version ${to}`);
+      return data;
+    }
+
+    return (this.migrations[name] || [])
+      .filter(step => step.version > from && step.version <= to)
+      .reduce((current, step) => step.migrate(current), data);
+  }
+
+  /**
+   * Restore a data set (or every persisted one) to its inline JSON,
+   * discarding stored changes
+   */
+  async reset(name) {
+    const names = name
+      ? [name]
+      : Object.keys(this.meta).filter(key => this.meta[key].persist === "indexeddb");
+
+    for (const key of names) {
+      if (!(key in this.seeds)) {
+        console.warn(`[H6X] Data "${key}" not found`);
+        continue;
+      }
+      if (this.meta[key].persist === "indexeddb" && this.backend.available()) {
+        await this.backend.delete(key);
+      }
+      const seed = structuredClone(this.seeds[key]);
+      this.history.record("data", key, "reset", seed, this.data[key]);
+      this.data[key] = seed;
+      this.notifyDataChange(key, "reset");
+      this.changed([key]);
+    }
+  }
+
+  /**
+   * Resolve once every in-flight persistence write has committed
+   */
+  flush() {
+    return Promise.all(Array.from(this.writes));
+  }
+
+  /**
+   * Persist data to IndexedDB (one transaction per write)
+   */
+  async persistToIndexedDB(name, data) {
+    try {
+      await this.backend.put({
+        name,
+        data,
+        version: (this.meta[name] && this.meta[name].version) || 1,
+        timestamp: Date.now()
+      });
+    } catch (err) {
+      console.error(`[H6X] IndexedDB persist failed:`, err);
+    }
+  }
+
+  /**
+   * Data, state and remote-source metadata of a prerendered page
+   */
+  serialize() {
+    const remote = {};
+    Object.keys(this.remote)
+      .filter(name => name in this.data)
+      .forEach(name => { remote[name] = { etag: this.remote[name].etag, updatedAt: this.remote[name].updatedAt }; });
+
+    return { data: this.data, state: this.state, remote };
+  }
+
+  /**
+   * Take over a serialized store. Called after load(), so schemas and
+   * remote sources are registered; a remote source then revalidates
+   * with its ETag instead of refetching.
+   */
+  deserialize({ data = {}, state = {}, remote = {} }) {
+    Object.assign(this.data, data);
+    Object.assign(this.state, state);
+    Object.keys(remote)
+      .filter(name => this.remote[name])
+      .forEach(name => Object.assign(this.remote[name], remote[name], { status: "ready" }));
+  }
+
+  /**
+   * Dispatch an h6x:* event on the window, if there is one
+   */
+  emit(type, detail) {
+    if (!this.window) return;
+    this.window.dispatchEvent(new this.window.CustomEvent(type, { detail }));
+  }
+
+  /**
+   * Announce schema validation failures
+   */
+  notifyValidationError(name, errors) {
+    this.emit("h6x:validation-error", { name, errors });
+  }
+
+  /**
+   * Announce data mutations
+   */
+  notifyDataChange(name, op) {
+    this.emit("h6x:data-change", { name, op });
+  }
+
+  /**
+   * Notify components of state changes
+   */
+  notifyStateChange(stateName) {
+    this.emit("h6x:state-change", { name: stateName, value: this.state[stateName] });
+  }
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+// Data operations that make an undo step (fetches and resets to seed
+// data come from outside the user's edits and are only logged)
+const UNDOABLE_OPS = ["insert", "update", "remove", "set"];
+
+// Data ops no user causes (remote refreshes, Store.reset()); the audit
+// trail leaves them out
+const BACKGROUND_OPS = ["fetch", "reset"];
+
+/**
+ * Apply a row change { index, removed, added } to an array data set,
+ * returning a new array
+ */
+function spliceRows(rows, { index, removed, added }) {
+  const next = rows.slice();
+  next.splice(index, removed.length, ...added);
+  return next;
+}
+
+/**
+ * Log of every data and state change in a Store (the oldest entries fold
+ * into its baseline past logLimit), with
+ * undo/redo, snapshots, time travel and replay.
+ *
+ * Entries are { seq, time, type: "data" | "state", name, op, value }.
+ * Row edits (insert, update, remove and their undo/redo) log
+ * { ..., change: { index, removed, added } } in place of the value, so
+ * an edit to a large data set costs one row, not a copy of the rows.
+ * Whole values (set, fetch, reset, restore) are kept by reference: the
+ * Store replaces data sets rather than mutating them. Undo steps group
+ * the data changes made in one task (one form submit, one click); state
+ * such as the current view or selection is logged but not undone.
+ */
+class History {
+  constructor(store, { limit = 100, logLimit = 1000 } = {}) {
+    this.store = store;
+    this.limit = limit; // Undo steps kept
+    this.logLimit = logLimit; // Entries kept; older ones fold into the baseline
+    this.entries = [];
+    this.seq = 0; // seq of the last entry logged
+    this.baseline = null; // Snapshot the log starts from
+    this.undoStack = []; // Steps: [{ name, previous, value }]
+    this.redoStack = [];
+    this.step = null; // Step collecting changes in the current task
+    this.listeners = new Set(); // Called with each new entry
+  }
+
+  /**
+   * Call `fn` with every entry logged from now on. Returns an
+   * unsubscribe function.
+   */
+  listen(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  /**
+   * Fix the baseline. Called at boot once persisted data is hydrated;
+   * otherwise taken just before the first logged change.
+   */
+  start() {
+    this.baseline = this.snapshot();
+  }
+
+  /**
+   * Log a change; called by the Store before it applies the change
+   */
+  record(type, name, op, value, previous, change = null) {
+    this.log(type, name, op, value, change);
+
+    if (type !== "data" || !UNDOABLE_OPS.includes(op)) return;
+
+    if (!this.step) {
+      this.step = [];
+      this.undoStack.push(this.step);
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+      queueMicrotask(() => { this.step = null; });
+    }
+    this.step.push(change ? { name, change } : { name, previous, value });
+    this.redoStack = [];
+  }
+
+  log(type, name, op, value, change = null) {
+    if (!this.baseline) this.start();
+    const entry = { seq: ++this.seq, time: Date.now(), type, name, op };
+    if (change) {
+      entry.change = change;
+    } else {
+      entry.value = type === "state" ? structuredClone(value) : value;
+    }
+    this.entries.push(entry);
+    // A page refreshing remote data logs a copy of it each time; keep
+    // the log bounded by moving the baseline forward
+    while (this.entries.length > this.logLimit) this.fold(this.entries.shift());
+    this.listeners.forEach(listener => listener(entry));
+    return entry;
+  }
+
+  /**
+   * Apply the oldest entry to the baseline, which then starts after it
+   */
+  fold(entry) {
+    const { baseline } = this;
+    baseline[entry.type][entry.name] = entry.change
+      ? spliceRows(baseline.data[entry.name] || [], entry.change)
+      : entry.value;
+    baseline.seq = entry.seq;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Revert the last undo step; returns false when there is none
+   */
+  undo() {
+    const step = this.undoStack.pop();
+    if (!step) return false;
+
+    this.step = null;
+    const changes = step.slice().reverse().map(item => item.change
+      ? { name: item.name, change: { index: item.change.index, removed: item.change.added, added: item.change.removed } }
+      : { name: item.name, value: item.previous });
+    if (!this.applyStep(changes, "undo")) return false;
+    this.redoStack.push(step);
+    return true;
+  }
+
+  /**
+   * Re-apply the last undone step; returns false when there is none
+   */
+  redo() {
+    const step = this.redoStack.pop();
+    if (!step) return false;
+
+    this.step = null;
+    if (!this.applyStep(step, "redo")) return false;
+    this.undoStack.push(step);
+    return true;
+  }
+
+  /**
+   * Write the changes of an undo step. Row changes only apply to the rows
+   * they were made against; if a fetch or reset replaced the data set
+   * since, undo history is dropped rather than editing the wrong rows.
+   */
+  applyStep(changes, op) {
+    // Check each change against the rows the ones before it leave, since
+    // a step may edit the same row twice
+    const rows = {};
+    const stale = changes.some(({ name, change, value }) => {
+      const current = name in rows ? rows[name] : this.store.data[name] || [];
+      if (change && !change.removed.every((row, i) => current[change.index + i] === row)) return true;
+      rows[name] = change ? spliceRows(current, change) : value;
+      return false;
+    });
+    if (stale) {
+      console.warn("[H6X] Data changed outside the undo history; clearing undo and redo");
+      this.undoStack = [];
+      this.redoStack = [];
+      return false;
+    }
+
+    changes.forEach(({ name, change, value }) => change
+      ? this.write("data", name, spliceRows(this.store.data[name], change), op, change)
+      : this.write("data", name, value, op));
+    return true;
+  }
+
+  /**
+   * Log and apply a change that is not an edit of its own
+   */
+  write(type, name, value, op, change = null) {
+    this.log(type, name, op, value, change);
+    this.store.apply(type, name, value, op);
+  }
+
+  /**
+   * Copy of every data set and state value, tagged with the last seq
+   */
+  snapshot() {
+    return structuredClone({
+      seq: this.seq,
+      data: Object.assign({}, this.store.data),
+      state: Object.assign({}, this.store.state)
+    });
+  }
+
+  /**
+   * Return the store to a snapshot. Logged as "restore" entries; the
+   * undo and redo stacks are cleared.
+   */
+  restore(snapshot) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.step = null;
+
+    Object.entries(snapshot.data || {}).forEach(([name, value]) => {
+      if (this.store.data[name] !== value) this.write("data", name, structuredClone(value), "restore");
+    });
+    Object.entries(snapshot.state || {}).forEach(([name, value]) => {
+      if (!Object.is(this.store.state[name], value)) this.write("state", name, value, "restore");
+    });
+  }
+
+  /**
+   * Restore the store as it was right after entry `seq` (0 = baseline).
+   * Entries folded into the baseline can no longer be travelled to.
+   */
+  travel(seq) {
+    if (!this.baseline) return;
+    if (seq < this.baseline.seq) {
+      console.warn(`[H6X] History entry ${seq} is older than the log, which starts after ${this.baseline.seq}`);
+      return;
+    }
+    const target = structuredClone(this.baseline);
+
+    this.entries.forEach(entry => {
+      if (entry.seq > seq) return;
+      target[entry.type][entry.name] = entry.change
+        ? spliceRows(target.data[entry.name], entry.change)
+        : entry.value;
+    });
+
+    this.restore(target);
+  }
+
+  /**
+   * The log as JSON, for bug reports
+   */
+  export() {
+    return JSON.stringify({
+      format: "h6x-history",
+      version: 1,
+      baseline: this.baseline || this.snapshot(),
+      entries: this.entries
+    });
+  }
+
+  /**
+   * Reproduce an exported log, normally in a fresh runtime: load its
+   * baseline as this log's baseline, then apply each entry in order (up
+   * to `until`). Replayed entries are logged again, so the two logs can
+   * be compared.
+   */
+  replay(log, { until = Infinity } = {}) {
+    const { format, baseline, entries } = typeof log === "string" ? JSON.parse(log) : log;
+    if (format !== "h6x-history") throw new Error("Not an h6x-history log");
+
+    ["data", "state"].forEach(type => {
+      Object.entries(baseline[type]).forEach(([name, value]) => this.store.apply(type, name, value, "restore"));
+    });
+    // Replayed entries keep their seq, also when the log was folded
+    this.seq = baseline.seq || 0;
+    this.start();
+    entries.filter(entry => entry.seq <= until).forEach(entry => {
+      if (entry.change) {
+        const change = structuredClone(entry.change);
+        this.write("data", entry.name, spliceRows(this.store.data[entry.name], change), entry.op, change);
+      } else {
+        this.write(entry.type, entry.name, entry.value, entry.op);
+      }
+    });
+  }
+}
+
+// ============================================================================
+// AUDIT
+// ============================================================================
+
+const AUDIT_SINKS = ["memory", "indexeddb"];
+const AUDIT_GENESIS = "0".repeat(64); // `prev` of the first entry
+
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * SHA-256 of a byte array (FIPS 180-4). Only used where SubtleCrypto is
+ * missing: it exists in secure contexts only, and plain-http pages still
+ * need a verifiable audit trail.
+ */
+function sha256(bytes) {
+  const ror = (x, n) => (x >>> n) | (x << (32 - n));
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+  // Message, a 1 bit, zeros, then the bit length in the last 8 bytes
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+  view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0);
+
+  const w = new Uint32Array(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = ror(w[i - 15], 7) ^ ror(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = ror(w[i - 2], 17) ^ ror(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (ror(e, 6) ^ ror(e, 11) ^ ror(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((ror(a, 2) ^ ror(a, 13) ^ ror(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] = (hash[i] + value) | 0; });
+  }
+
+  const digest = new Uint8Array(32);
+  const out = new DataView(digest.buffer);
+  hash.forEach((value, i) => out.setUint32(i * 4, value >>> 0));
+  return digest;
+}
+
+/**
+ * Tamper-evident audit trail of user actions.
+ *
+ * Entries are { seq, time, app, atom, type, detail, prev, hash }, where
+ * type is "submit", "action", "navigate", "state" or "mutation". Each
+ * hash is the SHA-256 of the previous hash and the entry, so editing,
+ * removing or reordering an entry breaks every hash after it (verify()).
+ * Fields named in `redact` are masked before anything is hashed or
+ * stored.
+ */
+class AuditLog {
+  constructor() {
+    this.sink = "memory";
+    this.redact = new Set();
+    this.entries = [];
+    this.backend = null; // IndexedDBBackend for the "indexeddb" sink
+    this.loaded = false; // Stored chain read; entries may be written
+    this.context = null; // { app, atom } of the action being run
+    this.app = null; // App mounted last; used when no context is set
+    this.queue = Promise.resolve(); // Entries are sealed one at a time
+  }
+
+  /**
+   * Apply an <h6x-audit> element: sink="memory|indexeddb",
+   * redact="field,field"
+   */
+  configure(node) {
+    AuditLog.hasSubtleCrypto();
+
+    const sink = node.getAttribute("sink") || "memory";
+    if (!AUDIT_SINKS.includes(sink)) {
+      console.warn(`[H6X] Unknown audit sink "${sink}"; keeping the audit log in memory`);
+    } else {
+      this.sink = sink;
+    }
+
+    (node.getAttribute("redact") || "").split(",")
+      .map(field => field.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach(field => this.redact.add(field));
+
+    if (this.sink === "indexeddb") {
+      this.backend = this.backend || new IndexedDBBackend("h6x_audit", "entries");
+      // Continue the stored chain; entries recorded meanwhile wait for it
+      this.queue = this.queue.then(() => this.load());
+    }
+
+    node.remove();
+  }
+
+  /**
+   * Continue the stored chain. Entries recorded before the sink was
+   * configured were chained from genesis; they are sealed again after the
+   * stored ones (and stored), so the combined chain still verifies.
+   */
+  async load() {
+    if (!this.backend.available()) {
+      console.warn("[H6X] IndexedDB unavailable; keeping the audit log in memory");
+      this.sink = "memory";
+      return;
+    }
+
+    let stored;
+    try {
+      stored = (await this.backend.getAll()).map(record => record.entry);
+    } catch (err) {
+      console.error("[H6X] Failed to load the audit log:", err);
+      return;
+    }
+
+    const early = this.entries;
+    this.entries = stored;
+    this.loaded = true;
+    for (const entry of early) {
+      await this.seal(entry);
+    }
+  }
+
+  /**
+   * Run `fn` with actions attributed to an app and atom
+   */
+  within(context, fn) {
+    const saved = this.context;
+    this.context = context;
+    try {
+      return fn();
+    } finally {
+      this.context = saved;
+    }
+  }
+
+  /**
+   * Add an entry. The time, attribution and (redacted) detail are fixed
+   * now; the entry joins the chain once the entries before it have.
+   */
+  record(type, detail = {}) {
+    const context = this.context || {};
+    const entry = {
+      seq: 0,
+      time: new Date().toISOString(),
+      app: context.app || this.app,
+      atom: context.atom || null,
+      type,
+      detail: this.mask(detail)
+    };
+
+    this.queue = this.queue
+      .then(() => this.seal(entry))
+      .catch(err => console.error("[H6X] Audit entry lost:", err));
+  }
+
+  async seal(entry) {
+    const last = this.entries[this.entries.length - 1];
+    entry.seq = last ? last.seq + 1 : 1;
+    entry.prev = last ? last.hash : AUDIT_GENESIS;
+    entry.hash = await AuditLog.digest(entry);
+    this.entries.push(entry);
+
+    if (this.sink === "indexeddb" && this.loaded) {
+      await this.backend.put({ name: String(entry.seq).padStart(12, "0"), entry });
+    }
+  }
+
+  /**
+   * Hex SHA-256 of an entry without its own hash
+   */
+  static async digest({ seq, time, app, atom, type, detail, prev }) {
+    const bytes = new TextEncoder().encode(JSON.stringify({ seq, time, app, atom, type, detail, prev }));
+    const hash = AuditLog.hasSubtleCrypto()
+      ? new Uint8Array(await crypto.subtle.digest("SHA-256", bytes))
+      : sha256(bytes);
+    return Array.from(hash, byte => byte.toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Whether SubtleCrypto exists (secure contexts only). Without it every
+   * record() would fail, so entries are hashed by sha256() instead and
+   * the page is warned once.
+   */
+  static hasSubtleCrypto() {
+    const available = typeof crypto !== "undefined" && Boolean(crypto.subtle);
+    if (!available && !AuditLog.warned) {
+      AuditLog.warned = true;
+      console.warn("[H6X] SubtleCrypto is unavailable (not a secure context); hashing the audit trail in JavaScript");
+    }
+    return available;
+  }
+
+  /**
+   * Copy of a value with redacted fields masked, at any depth
+   */
+  mask(value) {
+    if (Array.isArray(value)) return value.map(item => this.mask(item));
+    if (value === null || typeof value !== "object") return value;
+
+    const masked = {};
+    Object.entries(value).forEach(([key, item]) => {
+      masked[key] = this.redact.has(key.toLowerCase()) ? "[redacted]" : this.mask(item);
+    });
+    return masked;
+  }
+
+  /**
+   * Resolve once every recorded entry is sealed (and stored)
+   */
+  flush() {
+    return this.queue;
+  }
+
+  /**
+   * The trail as JSON Lines, one entry per line
+   */
+  async export() {
+    await this.flush();
+    return this.entries.map(entry => JSON.stringify(entry) + "\n").join("");
+  }
+
+  /**
+   * Check a chain (this log, or exported JSON Lines). Returns
+   * { valid: true } or { valid: false, seq } for the first bad entry.
+   */
+  async verify(entries = this.entries) {
+    if (typeof entries === "string") {
+      entries = entries.split("\n").filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    let prev = AUDIT_GENESIS;
+    for (const entry of entries) {
+      if (entry.prev !== prev || entry.hash !== await AuditLog.digest(entry)) {
+        return { valid: false, seq: entry.seq };
+      }
+      prev = entry.hash;
+    }
+    return { valid: true };
+  }
+}
+
+// ============================================================================
+// THEMES
+// ============================================================================
+
+/**
+ * Design tokens, exposed as --h6x-<token> custom properties. Atoms and
+ * layouts take every color, spacing and radius from these, so pages
+ * restyle them with <h6x-theme> or plain CSS instead of overrides.
+ */
+const THEME_TOKENS = {
+  shared: {
+    "space-1": "0.25rem",
+    "space-2": "0.5rem",
+    "space-3": "0.75rem",
+    "space-4": "1rem",
+    "space-6": "1.5rem",
+    "space-8": "2rem",
+    "radius-sm": "0.25rem",
+    "radius": "0.5rem",
+    "font-size-sm": "0.875rem"
+  },
+  dark: {
+    "bg": "#111827",
+    "surface": "#1f2937",
+    "border": "#374151",
+    "text": "#e5e7eb",
+    "muted": "#9ca3af",
+    "primary": "#38bdf8",
+    "on-primary": "#0b1220",
+    "danger": "#f87171",
+    "hover": "#374151",
+    "selected": "#1e3a5f",
+    "chart-1": "#38bdf8",
+    "chart-2": "#f59e0b",
+    "chart-3": "#10b981",
+    "chart-4": "#ef4444",
+    "chart-5": "#a78bfa",
+    "chart-6": "#f472b6",
+    "chart-7": "#94a3b8"
+  },
+  light: {
+    "bg": "#ffffff",
+    "surface": "#f9fafb",
+    "border": "#d1d5db",
+    "text": "#111827",
+    "muted": "#6b7280",
+    "primary": "#0369a1",
+    "on-primary": "#ffffff",
+    "danger": "#b91c1c",
+    "hover": "#e5e7eb",
+    "selected": "#e0f2fe",
+    "chart-1": "#0284c7",
+    "chart-2": "#d97706",
+    "chart-3": "#059669",
+    "chart-4": "#dc2626",
+    "chart-5": "#7c3aed",
+    "chart-6": "#db2777",
+    "chart-7": "#64748b"
+  }
+};
+
+const CHART_SERIES = 7;
+const CHART_KINDS = ["bar", "line", "pie", "donut", "sparkline"];
+
+const THEME_RULES = `
+.h6x-table { width: 100%; border-collapse: collapse; margin-top: var(--h6x-space-4); }
+.h6x-table-header { text-align: left; padding: var(--h6x-space-2); border-bottom: 2px solid var(--h6x-border); }
+.h6x-viewport .h6x-table-header { position: sticky; top: 0; background: var(--h6x-bg); }
+.h6x-sort-button { background: none; border: none; color: inherit; font: inherit; font-weight: 600; padding: 0; cursor: pointer; }
+.h6x-table-cell, .h6x-table-actions, .h6x-table-empty { padding: var(--h6x-space-2); border-bottom: 1px solid var(--h6x-surface); }
+.h6x-table-actions { white-space: nowrap; }
+.h6x-table-row[tabindex] { cursor: pointer; }
+.h6x-table-row.h6x-selected { background: var(--h6x-selected); }
+.h6x-button { padding: var(--h6x-space-1) var(--h6x-space-2); margin-right: var(--h6x-space-1); background: transparent; color: var(--h6x-text); border: 1px solid var(--h6x-border); border-radius: var(--h6x-radius-sm); cursor: pointer; }
+.h6x-button:disabled { opacity: 0.5; cursor: default; }
+.h6x-search, .h6x-input, .h6x-select { padding: var(--h6x-space-2); border-radius: var(--h6x-radius-sm); border: 1px solid var(--h6x-border); background: var(--h6x-surface); color: var(--h6x-text); width: 100%; box-sizing: border-box; }
+.h6x-pager { display: flex; align-items: center; gap: var(--h6x-space-3); margin-top: var(--h6x-space-3); }
+.h6x-pager-status, .h6x-pager-size { color: var(--h6x-muted); }
+.h6x-pager-size { margin-left: auto; }
+.h6x-pager-size .h6x-select { width: auto; padding: var(--h6x-space-1); }
+.h6x-badge { display: inline-block; padding: 0.125rem var(--h6x-space-2); border-radius: 999px; background: var(--h6x-border); font-size: 0.75rem; font-weight: 600; }
+.h6x-form { display: flex; flex-direction: column; gap: var(--h6x-space-4); max-width: 500px; margin-top: var(--h6x-space-4); }
+.h6x-label, .h6x-legend { display: block; margin-bottom: var(--h6x-space-1); font-weight: 500; }
+.h6x-radio-group { border: none; margin: 0; padding: 0; }
+.h6x-choice { display: flex; gap: var(--h6x-space-2); align-items: center; }
+.h6x-field > .h6x-choice { font-weight: 500; }
+.h6x-form-summary, .h6x-field-error { color: var(--h6x-danger); }
+.h6x-field-error { margin: var(--h6x-space-1) 0 0; font-size: var(--h6x-font-size-sm); }
+.h6x-submit { padding: var(--h6x-space-2) var(--h6x-space-4); background: var(--h6x-primary); color: var(--h6x-on-primary); border: none; border-radius: var(--h6x-radius-sm); cursor: pointer; font-weight: 600; }
+.h6x-card, .h6x-stat { padding: var(--h6x-space-6); background: var(--h6x-surface); border: 1px solid var(--h6x-border); border-radius: var(--h6x-radius); }
+.h6x-card-title { margin: 0 0 var(--h6x-space-2); font-size: 1.25rem; font-weight: 600; }
+.h6x-card-content { margin: 0; color: var(--h6x-muted); }
+.h6x-stat { text-align: center; }
+.h6x-stat-value { margin: 0 0 var(--h6x-space-2); font-size: 2.5rem; font-weight: 700; color: var(--h6x-primary); }
+.h6x-stat-label { color: var(--h6x-muted); font-size: var(--h6x-font-size-sm); text-transform: uppercase; letter-spacing: 0.05em; }
+.h6x-list { list-style: none; padding: 0; margin: var(--h6x-space-4) 0; }
+.h6x-list-item { padding: var(--h6x-space-3); margin-bottom: var(--h6x-space-2); background: var(--h6x-surface); border: 1px solid var(--h6x-border); border-radius: var(--h6x-radius-sm); }
+.h6x-list-item.h6x-clickable { cursor: pointer; }
+.h6x-spacer { margin: 0; padding: 0; list-style: none; }
+.h6x-chart { position: relative; margin: var(--h6x-space-4) 0; }
+.h6x-chart svg { max-width: 100%; overflow: visible; }
+.h6x-chart-empty, .h6x-chart-label { color: var(--h6x-muted); }
+.h6x-chart-axis { color: var(--h6x-border); }
+.h6x-chart-legend { display: flex; flex-wrap: wrap; gap: var(--h6x-space-4); list-style: none; padding: 0; margin: var(--h6x-space-2) 0 0; font-size: var(--h6x-font-size-sm); }
+.h6x-swatch { display: inline-block; width: 0.75rem; height: 0.75rem; margin-right: 0.375rem; border-radius: 0.125rem; background: currentColor; }
+.h6x-status, .h6x-status-error { display: flex; align-items: center; gap: var(--h6x-space-3); padding: var(--h6x-space-4); border: 1px dashed var(--h6x-border); border-radius: var(--h6x-radius); color: var(--h6x-muted); }
+.h6x-status-error { border-color: currentColor; color: var(--h6x-danger); }
+.h6x-status-message { margin: 0; }
+.h6x-visually-hidden { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+.h6x-layout-dashboard { display: grid; grid-template-columns: 220px 1fr; height: 100vh; overflow: hidden; }
+.h6x-sidebar { background: var(--h6x-surface); border-right: 1px solid var(--h6x-border); padding: var(--h6x-space-4); overflow-y: auto; }
+.h6x-main { padding: var(--h6x-space-8); overflow-y: auto; }
+.h6x-drawer-toggle { display: none; }
+.h6x-layout-dashboard[data-compact] { grid-template-columns: 1fr; }
+.h6x-layout-dashboard[data-compact] > .h6x-main { padding: var(--h6x-space-4); }
+.h6x-layout-dashboard[data-compact] > .h6x-main > .h6x-drawer-toggle { display: inline-block; margin-bottom: var(--h6x-space-4); padding: var(--h6x-space-2) var(--h6x-space-3); background: transparent; color: var(--h6x-text); border: 1px solid var(--h6x-border); border-radius: var(--h6x-radius-sm); cursor: pointer; }
+.h6x-layout-dashboard[data-compact] > .h6x-sidebar { position: fixed; inset: 0 auto 0 0; z-index: 10; width: min(80vw, 280px); transform: translateX(-100%); visibility: hidden; transition: transform 0.2s, visibility 0.2s; }
+.h6x-layout-dashboard[data-compact][data-drawer-open] > .h6x-sidebar { transform: none; visibility: visible; box-shadow: 0 0 0 100vmax rgb(0 0 0 / 0.5); }
+.h6x-layout-split { display: grid; grid-template-columns: minmax(0, var(--h6x-split, 1fr)) auto minmax(0, 1fr); gap: var(--h6x-space-2); height: 100vh; padding: var(--h6x-space-4); }
+.h6x-layout-split[data-orientation="vertical"] { grid-template-columns: 1fr; grid-template-rows: minmax(0, var(--h6x-split, 1fr)) auto minmax(0, 1fr); }
+.h6x-layout-split > .h6x-panel { overflow: auto; }
+.h6x-divider { width: var(--h6x-space-2); border-radius: var(--h6x-radius-sm); background: var(--h6x-border); cursor: col-resize; touch-action: none; }
+.h6x-layout-split[data-orientation="vertical"] > .h6x-divider { width: auto; height: var(--h6x-space-2); cursor: row-resize; }
+.h6x-divider:hover, .h6x-divider:focus-visible { background: var(--h6x-primary); }
+.h6x-layout-split[data-compact] { grid-template-columns: 1fr; grid-template-rows: none; height: auto; }
+.h6x-layout-split[data-compact] > .h6x-divider { display: none; }
+.h6x-layout-centered { display: flex; align-items: center; justify-content: center; min-height: 100vh; padding: var(--h6x-space-8); }
+.h6x-centered-content { width: 100%; max-width: 600px; }
+.h6x-layout-grid { display: grid; grid-template-columns: var(--h6x-grid-columns, repeat(auto-fit, minmax(16rem, 1fr))); grid-template-rows: var(--h6x-grid-rows, none); grid-template-areas: var(--h6x-grid-areas, none); gap: var(--h6x-grid-gap, var(--h6x-space-4)); }
+.h6x-layout-grid > .h6x-panel { grid-column: var(--h6x-column, auto); grid-row: var(--h6x-row, auto); min-width: 0; }
+.h6x-layout-grid > .h6x-panel[data-area] { grid-area: var(--h6x-area); }
+.h6x-layout-grid[data-compact] { grid-template-columns: minmax(0, 1fr); grid-template-rows: none; grid-template-areas: none; }
+.h6x-layout-grid[data-compact] > .h6x-panel { grid-area: auto; }
+.h6x-layout-dashboard[data-nested], .h6x-layout-split[data-nested], .h6x-layout-centered[data-nested] { height: auto; min-height: 0; padding: 0; }
+.h6x-nav-item { display: block; width: 100%; padding: var(--h6x-space-3); margin-bottom: var(--h6x-space-2); background: transparent; border: 1px solid transparent; border-radius: var(--h6x-radius-sm); color: var(--h6x-text); text-align: left; cursor: pointer; transition: all 0.2s; }
+.h6x-nav-item:hover, .h6x-nav-item:focus-visible, .h6x-nav-item[aria-current="page"] { background: var(--h6x-hover); }
+.h6x-nav-item[aria-current="page"] { border-color: var(--h6x-primary); }
+`;
+
+/**
+ * Installs the runtime stylesheet and applies <h6x-theme> elements.
+ *
+ * The stylesheet is a constructable CSSStyleSheet adopted by the
+ * document, and token overrides are set through the CSSOM, so themes
+ * work under a CSP without 'unsafe-inline' styles. Older browsers get a
+ * <style> element instead, with the page's script nonce if there is one.
+ */
+class ThemeManager {
+  constructor(root = globalThis.document.documentElement) {
+    this.root = root;
+    this.themes = ["dark", "light", "auto"];
+  }
+
+  /**
+   * Add the stylesheet to a document once
+   */
+  install(doc = this.root.ownerDocument) {
+    if (ThemeManager.installed.has(doc)) return;
+    ThemeManager.installed.add(doc);
+
+    // Prerendered pages ship the stylesheet already
+    if (doc.querySelector('style[data-h6x="theme"]')) return;
+
+    const css = this.stylesheet();
+    const StyleSheet = doc.defaultView && doc.defaultView.CSSStyleSheet;
+
+    if (typeof StyleSheet === "function" && "adoptedStyleSheets" in doc && "replaceSync" in StyleSheet.prototype) {
+      const sheet = new StyleSheet();
+      sheet.replaceSync(css);
+      doc.adoptedStyleSheets = [...doc.adoptedStyleSheets, sheet];
+      return;
+    }
+
+    const style = doc.createElement("style");
+    const script = doc.querySelector("script[nonce]");
+    if (script) style.nonce = script.nonce;
+    style.dataset.h6x = "theme";
+    style.textContent = css;
+    doc.head.appendChild(style);
+  }
+
+  /**
+   * Token declarations for the built-in themes, then component rules.
+   * Dark is the default; "auto" follows prefers-color-scheme.
+   */
+  stylesheet() {
+    const declarations = tokens => Object.entries(tokens)
+      .map(([name, value]) => `--h6x-${name}: ${value};`)
+      .join(" ");
+
+    const series = Array.from({ length: CHART_SERIES }, (_, i) =>
+      `.h6x-series-${i} { color: var(--h6x-chart-${i + 1}); }`).join("\n");
+
+    return [
+      `:root { ${declarations(THEME_TOKENS.shared)} }`,
+      `:root, [data-h6x-theme="dark"] { ${declarations(THEME_TOKENS.dark)} color-scheme: dark; }`,
+      `[data-h6x-theme="light"] { ${declarations(THEME_TOKENS.light)} color-scheme: light; }`,
+      `@media (prefers-color-scheme: light) { [data-h6x-theme="auto"] { ${declarations(THEME_TOKENS.light)} color-scheme: light; } }`,
+      THEME_RULES,
+      series
+    ].join("\n");
+  }
+
+  /**
+   * Apply <h6x-theme base="dark|light|auto">{"primary": "#0055aa"}</h6x-theme>
+   */
+  apply(node) {
+    const base = node.getAttribute("base");
+    if (base) this.use(base);
+
+    const text = node.textContent.trim();
+    if (text) {
+      try {
+        this.setTokens(JSON.parse(text));
+      } catch (err) {
+        console.error("[H6X] Invalid JSON in h6x-theme:", err.message);
+      }
+    }
+
+    node.remove();
+  }
+
+  /**
+   * Switch the built-in theme
+   */
+  use(base) {
+    if (!this.themes.includes(base)) {
+      console.warn(`[H6X] Unknown theme "${base}" (expected ${this.themes.join(", ")})`);
+      return;
+    }
+    this.root.dataset.h6xTheme = base;
+  }
+
+  /**
+   * Override tokens; each value goes through the CSSOM as one property
+   */
+  setTokens(tokens) {
+    Object.entries(tokens).forEach(([name, value]) => {
+      if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+        console.warn(`[H6X] Invalid theme token name "${name}"`);
+        return;
+      }
+      this.root.style.setProperty(`--h6x-${name}`, String(value));
+    });
+  }
+}
+
+ThemeManager.installed = new WeakSet(); // Documents with the stylesheet
+
+// ============================================================================
+// RENDERER LAYER
+// ============================================================================
+
+/**
+ * Windowed rendering for long tables and lists.
+ *
+ * Only the items in view plus `overscan` on each side are in the DOM; two
+ * spacers stand in for the rest. Heights may vary per item: unmeasured
+ * items count as `estimate` and are corrected once rendered. Keyboard
+ * focus follows its item across re-renders and is parked on the viewport
+ * while the item is scrolled out.
+ */
+class VirtualWindow {
+  constructor({ viewport, container, renderItem, createSpacer, onRender = null, estimate = 40, overscan = 8 }) {
+    this.viewport = viewport;
+    this.container = container;
+    this.renderItem = renderItem;
+    this.onRender = onRender;
+    this.estimate = estimate;
+    this.overscan = overscan;
+    this.items = [];
+    this.heights = new Float64Array(0);
+    this.offsets = new Float64Array(1); // offsets[i] = top of item i
+    this.dirty = false;
+    this.range = null; // [start, end) currently rendered
+    this.focused = null; // Position of the item holding focus
+    this.frame = null;
+    this.resizeObserver = null;
+    this.mountFrame = null;
+
+    this.before = createSpacer();
+    this.after = createSpacer();
+    this.before.setAttribute("aria-hidden", "true");
+    this.after.setAttribute("aria-hidden", "true");
+
+    viewport.style.overflowY = "auto";
+    viewport.style.position = "relative";
+    viewport.tabIndex = -1;
+
+    viewport.addEventListener("scroll", () => this.schedule());
+    viewport.addEventListener("focusin", (e) => {
+      const item = e.target.closest("[data-position]");
+      if (item && this.container.contains(item)) this.focused = Number(item.dataset.position);
+    });
+    viewport.addEventListener("focusout", (e) => {
+      if (e.relatedTarget && !this.viewport.contains(e.relatedTarget)) this.focused = null;
+    });
+  }
+
+  setItems(items) {
+    this.items = items;
+    this.heights = new Float64Array(items.length).fill(this.estimate);
+    this.dirty = true;
+    this.range = null;
+    this.focused = null;
+    this.render();
+  }
+
+  /**
+   * Rebuild the offset table after heights changed
+   */
+  layout() {
+    if (!this.dirty) return;
+
+    const offsets = new Float64Array(this.items.length + 1);
+    for (let i = 0; i < this.items.length; i++) {
+      offsets[i + 1] = offsets[i] + this.heights[i];
+    }
+    this.offsets = offsets;
+    this.dirty = false;
+  }
+
+  /**
+   * Index of the item at a scroll offset (binary search)
+   */
+  indexAt(y) {
+    let low = 0;
+    let high = this.items.length - 1;
+
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.offsets[mid] <= y) low = mid;
+      else high = mid - 1;
+    }
+
+    return Math.max(0, low);
+  }
+
+  /**
+   * Render the window around `top` (defaults to the scroll position)
+   */
+  render(top = this.viewport.scrollTop) {
+    this.layout();
+
+    const count = this.items.length;
+    const height = this.viewport.clientHeight || this.estimate * 20;
+    const start = Math.max(0, this.indexAt(top) - this.overscan);
+    const end = Math.min(count, this.indexAt(top + height) + 1 + this.overscan);
+
+    if (this.range && this.range[0] === start && this.range[1] === end) return;
+
+    const active = this.viewport.ownerDocument.activeElement;
+    const hadFocus = Boolean(active) && this.viewport.contains(active);
+
+    const fragment = this.viewport.ownerDocument.createDocumentFragment();
+    fragment.appendChild(this.before);
+    for (let i = start; i < end; i++) {
+      const element = this.renderItem(this.items[i], i);
+      element.dataset.position = i;
+      fragment.appendChild(element);
+    }
+    fragment.appendChild(this.after);
+
+    this.container.replaceChildren(fragment);
+    this.range = [start, end];
+    this.measure();
+    if (!this.viewport.isConnected) this.measureWhenMounted();
+
+    if (this.onRender) this.onRender();
+    if (hadFocus && this.focused !== null) {
+      (this.elementAt(this.focused) || this.viewport).focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Record real heights of rendered items and size the spacers. Offsets
+   * between neighbours include margins, unlike offsetHeight.
+   */
+  measure() {
+    const [start, end] = this.range;
+    const elements = Array.from(this.container.children).slice(1, -1);
+    let changed = false;
+
+    elements.forEach((element, k) => {
+      const next = elements[k + 1] || this.after;
+      const height = next.offsetTop - element.offsetTop;
+      if (height > 0 && height !== this.heights[start + k]) {
+        this.heights[start + k] = height;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.dirty = true;
+      this.layout();
+    }
+
+    this.before.style.height = `${this.offsets[start]}px`;
+    this.after.style.height = `${this.offsets[this.items.length] - this.offsets[end]}px`;
+  }
+
+  /**
+   * Before the viewport is in the document nothing has a size: the first
+   * window is a guess and no row is measured. Render again once it is laid
+   * out (and, with ResizeObserver, whenever its size changes).
+   */
+  measureWhenMounted() {
+    if (this.resizeObserver || this.mountFrame) return;
+    const win = this.viewport.ownerDocument.defaultView;
+    if (!win) return;
+
+    const refresh = () => {
+      if (!this.viewport.isConnected) return;
+      this.range = null;
+      this.render();
+      this.render(); // Again with the measured heights, if they move the window
+    };
+
+    if (win.ResizeObserver) {
+      this.resizeObserver = new win.ResizeObserver(refresh);
+      this.resizeObserver.observe(this.viewport);
+    } else {
+      this.mountFrame = win.requestAnimationFrame(() => {
+        this.mountFrame = null;
+        refresh();
+      });
+    }
+  }
+
+  schedule() {
+    if (this.frame) return;
+    this.frame = this.viewport.ownerDocument.defaultView.requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  elementAt(position) {
+    return this.container.querySelector(`[data-position="${position}"]`);
+  }
+
+  /**
+   * Scroll an item into view, render around it and focus it
+   */
+  focusIndex(position) {
+    this.layout();
+
+    const index = Math.min(Math.max(0, position), this.items.length - 1);
+    const itemTop = this.offsets[index];
+    const itemBottom = this.offsets[index + 1];
+    const viewTop = this.viewport.scrollTop;
+    const viewHeight = this.viewport.clientHeight || this.estimate * 20;
+    let top = viewTop;
+
+    if (itemTop < viewTop) top = itemTop;
+    else if (itemBottom > viewTop + viewHeight) top = itemBottom - viewHeight;
+
+    this.viewport.scrollTop = top;
+    this.focused = index;
+    this.render(top);
+
+    const element = this.elementAt(index);
+    if (element) element.focus({ preventScroll: true });
+  }
+}
+
+class Renderer {
+  constructor(store, doc = globalThis.document) {
+    this.store = store;
+    this.document = doc;
+    this.chartCount = 0; // For unique aria ids
+    this.formCount = 0;
+  }
+
+  /**
+   * Render table atom.
+   *
+   * Options:
+   *   columns   [{ key, label, format }] (default: every key of the first row)
+   *   actions   [{ label, onClick(row) }] rendered as buttons per row
+   *   sortable  click headers to sort (ascending, then descending)
+   *   search    show a search box filtering on the displayed columns
+   *   pageSize  paginate with this many rows per page (0 = all)
+   *   onSelect  make rows selectable; called with the selected row
+   *   rowKey / selected  key property and key value of the selected row
+   *   view      object holding sort/search/page between re-renders
+   *   virtual   only render rows in view (VirtualWindow); `height` sets
+   *             the scroll viewport height (default 480px)
+   *
+   * Search, sort and paging only rebuild the body, so focus is kept. With
+   * search or paging the table is returned inside a wrapper div, and a
+   * virtual table inside its scroll viewport.
+   */
+  table(rows, options = {}) {
+    rows = Array.isArray(rows) ? rows : [];
+
+    const table = this.element("table", "table");
+    const columns = options.columns || Object.keys(rows[0] || {}).map(key => ({ key, label: key }));
+    const actions = options.actions || [];
+    const selectable = typeof options.onSelect === "function";
+    const rowKey = options.rowKey || "id";
+    let selected = options.selected;
+
+    const state = options.view || {};
+    const defaults = { sort: null, query: "", page: 0, pageSize: options.pageSize || 0 };
+    Object.keys(defaults).forEach(key => {
+      if (!(key in state)) state[key] = defaults[key];
+    });
+
+    if (rows.length === 0) {
+      const row = table.insertRow();
+      row.insertCell().textContent = "No data available";
+      return table;
+    }
+
+    // Header
+    const headerRow = table.createTHead().insertRow();
+    const headers = columns.map(column => {
+      const th = this.element("th", "table-header");
+      th.scope = "col";
+
+      if (options.sortable) {
+        const button = this.element("button", "sort-button");
+        button.type = "button";
+        button.dataset.sortKey = column.key;
+        button.textContent = this.text(column.label);
+        th.appendChild(button);
+      } else {
+        th.textContent = this.text(column.label);
+      }
+
+      headerRow.appendChild(th);
+      return th;
+    });
+    if (actions.length) {
+      headerRow.appendChild(this.element("th", "table-header"));
+    }
+
+    const body = table.createTBody();
+    const evaluator = new ExpressionEvaluator(() => null);
+    let pager = null;
+    let status = null;
+    let shown = 0; // Rows on the current page
+
+    let viewport = null;
+    let windowing = null;
+
+    if (options.virtual) {
+      viewport = this.element("div", "viewport");
+      viewport.style.maxHeight = options.height || "480px";
+      viewport.appendChild(table);
+
+      windowing = new VirtualWindow({
+        viewport,
+        container: body,
+        renderItem: ({ row, index }) => this.tableRow(row, index, columns, actions, selectable),
+        createSpacer: () => {
+          const spacer = this.document.createElement("tr");
+          spacer.insertCell().colSpan = columns.length + (actions.length ? 1 : 0);
+          return spacer;
+        },
+        onRender: () => this.markSelected(body, rows, rowKey, selected)
+      });
+    }
+
+    const refresh = () => {
+      // Filter, then sort; remember original indexes for event handlers
+      const query = state.query.trim().toLowerCase();
+      let visible = rows.map((row, index) => ({ row, index }));
+
+      if (query) {
+        visible = visible.filter(({ row }) =>
+          columns.some(column => this.text(row[column.key]).toLowerCase().includes(query)));
+      }
+
+      if (state.sort) {
+        const { key, descending } = state.sort;
+        visible.sort((a, b) => {
+          const order = evaluator.compare(a.row[key], b.row[key]);
+          return descending ? -order : order;
+        });
+      }
+
+      if (options.sortable) {
+        headers.forEach((th, i) => {
+          const sorted = state.sort && state.sort.key === columns[i].key;
+          th.setAttribute("aria-sort", sorted ? (state.sort.descending ? "descending" : "ascending") : "none");
+        });
+      }
+
+      // Page
+      const size = state.pageSize > 0 ? state.pageSize : visible.length || 1;
+      const pageCount = Math.max(1, Math.ceil(visible.length / size));
+      state.page = Math.min(Math.max(0, state.page), pageCount - 1);
+      const start = state.page * size;
+      const page = visible.slice(start, start + size);
+      shown = page.length;
+
+      body.replaceChildren();
+
+      if (page.length === 0) {
+        const row = body.insertRow();
+        const cell = this.element("td", "table-empty");
+        cell.colSpan = columns.length + (actions.length ? 1 : 0);
+        cell.textContent = "No matching rows";
+        row.appendChild(cell);
+      } else if (windowing) {
+        windowing.setItems(page);
+      } else {
+        page.forEach(({ row, index }, position) => {
+          const tr = this.tableRow(row, index, columns, actions, selectable);
+          tr.dataset.position = position;
+          body.appendChild(tr);
+        });
+        this.markSelected(body, rows, rowKey, selected);
+      }
+
+      if (status) {
+        status.textContent = visible.length
+          ? `${start + 1}–${start + page.length} of ${visible.length}`
+          : "0 of 0";
+        pager.querySelector("[data-page='prev']").disabled = state.page === 0;
+        pager.querySelector("[data-page='next']").disabled = state.page >= pageCount - 1;
+      }
+    };
+
+    table.addEventListener("click", (e) => {
+      const sortButton = e.target.closest("button[data-sort-key]");
+      if (sortButton) {
+        const key = sortButton.dataset.sortKey;
+        state.sort = state.sort && state.sort.key === key
+          ? { key, descending: !state.sort.descending }
+          : { key, descending: false };
+        refresh();
+        return;
+      }
+
+      const row = e.target.closest("tr[data-row-index]");
+      if (!row) return;
+
+      // Row action buttons
+      const button = e.target.closest("button[data-action-index]");
+      if (button) {
+        e.stopPropagation();
+        actions[parseInt(button.dataset.actionIndex)].onClick(rows[parseInt(row.dataset.rowIndex)]);
+        return;
+      }
+
+      const record = rows[parseInt(row.dataset.rowIndex)];
+      if (selectable) {
+        selected = record[rowKey];
+        this.markSelected(body, rows, rowKey, selected);
+        options.onSelect(record);
+      }
+      if (options.onClick) options.onClick(record);
+    });
+
+    // Keyboard: Enter/Space select, arrows/Home/End move between rows
+    if (selectable) {
+      const focusRow = (position) => {
+        if (windowing) {
+          windowing.focusIndex(position);
+          return;
+        }
+        const tr = body.querySelector(`tr[data-position="${Math.min(Math.max(0, position), shown - 1)}"]`);
+        if (tr) tr.focus();
+      };
+
+      table.addEventListener("keydown", (e) => {
+        const row = e.target.closest("tr[data-row-index]");
+        if (!row || e.target !== row) return;
+
+        const position = parseInt(row.dataset.position, 10);
+        const moves = { ArrowDown: position + 1, ArrowUp: position - 1, Home: 0, End: shown - 1 };
+
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          row.click();
+        } else if (e.key in moves) {
+          e.preventDefault();
+          focusRow(moves[e.key]);
+        }
+      });
+    }
+
+    const content = viewport || table;
+
+    if (!options.search && !options.pageSize) {
+      refresh();
+      return content;
+    }
+
+    // Toolbar and pager around the table
+    const wrapper = this.element("div", "table-container");
+
+    if (options.search) {
+      const search = this.element("input", "search");
+      search.type = "search";
+      search.placeholder = "Search…";
+      search.setAttribute("aria-label", "Search table");
+      search.value = state.query;
+      search.addEventListener("input", () => {
+        state.query = search.value;
+        state.page = 0;
+        refresh();
+      });
+      wrapper.appendChild(search);
+    }
+
+    wrapper.appendChild(content);
+
+    if (options.pageSize) {
+      pager = this.element("nav", "pager");
+      pager.setAttribute("aria-label", "Table pages");
+
+      const pageButton = (label, name, step) => {
+        const button = this.element("button", "button");
+        button.type = "button";
+        button.dataset.page = name;
+        button.textContent = label;
+        button.addEventListener("click", () => {
+          state.page += step;
+          refresh();
+        });
+        return button;
+      };
+
+      status = this.element("span", "pager-status");
+      status.setAttribute("aria-live", "polite");
+
+      const sizeLabel = this.element("label", "pager-size");
+      sizeLabel.textContent = "Rows per page ";
+      const sizes = this.element("select", "select");
+      [...new Set([10, 25, 50, 100, options.pageSize])].sort((a, b) => a - b).forEach(size => {
+        const option = this.document.createElement("option");
+        option.value = size;
+        option.textContent = size;
+        sizes.appendChild(option);
+      });
+      sizes.value = String(state.pageSize);
+      sizes.addEventListener("change", () => {
+        state.pageSize = parseInt(sizes.value, 10);
+        state.page = 0;
+        refresh();
+      });
+      sizeLabel.appendChild(sizes);
+
+      pager.append(pageButton("Previous", "prev", -1), status, pageButton("Next", "next", 1), sizeLabel);
+      wrapper.appendChild(pager);
+    }
+
+    refresh();
+    return wrapper;
+  }
+
+  /**
+   * Build one body row; `index` is the row's position in the unsorted data
+   */
+  tableRow(row, index, columns, actions, selectable) {
+    const tr = this.element("tr", "table-row");
+    tr.dataset.rowIndex = index;
+
+    if (selectable) {
+      tr.tabIndex = 0;
+      tr.setAttribute("aria-selected", "false");
+    }
+
+    columns.forEach(column => {
+      const td = this.element("td", "table-cell");
+      td.append(this.format(row[column.key], column.format));
+      tr.appendChild(td);
+    });
+
+    if (actions.length) {
+      const td = this.element("td", "table-actions");
+      actions.forEach((a, i) => {
+        const button = this.element("button", "button");
+        button.type = "button";
+        button.dataset.actionIndex = i;
+        button.textContent = this.text(a.label);
+        td.appendChild(button);
+      });
+      tr.appendChild(td);
+    }
+
+    return tr;
+  }
+
+  markSelected(body, rows, rowKey, selected) {
+    body.querySelectorAll("tr[data-row-index]").forEach(tr => {
+      const row = rows[parseInt(tr.dataset.rowIndex)];
+      const isSelected = selected !== undefined && selected !== null && row[rowKey] === selected;
+      if (tr.hasAttribute("aria-selected")) tr.setAttribute("aria-selected", String(isSelected));
+      tr.classList.toggle("h6x-selected", isSelected);
+    });
+  }
+
+  /**
+   * Format a cell value: date, datetime, number, boolean or badge.
+   * Returns a node or a string; values always end up as text.
+   */
+  format(value, formatter) {
+    if (value === null || value === undefined || value === "") return "";
+
+    switch (formatter) {
+      case "date":
+      case "datetime": {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return this.text(value);
+        if (formatter === "datetime") return date.toLocaleString();
+
+        // Date-only strings parse as UTC midnight; show them as written
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        return date.toLocaleDateString(undefined, {
+          year: "numeric", month: "short", day: "numeric", timeZone: dateOnly ? "UTC" : undefined
+        });
+      }
+
+      case "number": {
+        const number = Number(value);
+        return Number.isNaN(number) ? this.text(value) : number.toLocaleString();
+      }
+
+      case "boolean":
+        return value === true || value === "true" ? "Yes" : "No";
+
+      case "badge": {
+        const badge = this.element("span", "badge");
+        badge.dataset.value = this.text(value);
+        badge.textContent = this.text(value);
+        return badge;
+      }
+
+      default:
+        return this.text(value);
+    }
+  }
+
+  /**
+   * Render form atom.
+   *
+   * Field properties: name, label, type (text, email, url, password,
+   * textarea, number, range, date, checkbox, radio, select), options,
+   * multiple (select), required, default, minLength, maxLength, pattern,
+   * min, max, step, matches (another field's name) and messages
+   * ({ rule: text } overriding the built-in messages).
+   *
+   * Values are coerced: numbers and ranges submit numbers, checkboxes
+   * booleans, multi-selects arrays, and option values keep their JSON
+   * type. Errors show next to fields with aria-invalid/aria-describedby.
+   * If `onSubmit` throws a ValidationError, its errors are shown too.
+   *
+   * Options: record (edit this object; submitted data is merged into it),
+   * disabled.
+   */
+  form(schema, onSubmit, options = {}) {
+    const form = this.element("form", "form");
+    form.noValidate = true; // Errors are rendered inline instead of browser bubbles
+
+    const id = `h6x-form-${++this.formCount}`;
+    const fields = schema.fields || [];
+    const record = options.record || null;
+    const entries = {}; // name -> { field, error, inputs }
+    const touched = new Set();
+
+    const summary = this.element("div", "form-summary");
+    summary.setAttribute("role", "alert");
+    summary.hidden = true;
+    form.appendChild(summary);
+
+    fields.forEach(field => {
+      const wrapper = this.element("div", "field");
+      const controlId = `${id}-${field.name}`;
+      const value = record && field.name in record ? record[field.name] : field.default;
+      const { node, inputs } = this.formControl(field, controlId, value);
+
+      const error = this.element("p", "field-error");
+      error.id = `${controlId}-error`;
+      error.hidden = true;
+      inputs.forEach(input => input.setAttribute("aria-describedby", error.id));
+
+      if (field.type === "radio" || field.type === "checkbox") {
+        wrapper.appendChild(node);
+      } else {
+        const label = this.element("label", "label");
+        label.htmlFor = controlId;
+        label.textContent = field.label;
+        wrapper.append(label, node);
+      }
+
+      wrapper.appendChild(error);
+      form.appendChild(wrapper);
+      entries[field.name] = { field, error, inputs };
+    });
+
+    const submitBtn = this.element("button", "submit");
+    submitBtn.type = "submit";
+    submitBtn.textContent = record ? schema.editLabel || "Save" : schema.submitLabel || "Submit";
+    form.appendChild(submitBtn);
+
+    if (options.disabled) {
+      Array.from(form.elements).forEach(control => { control.disabled = true; });
+    }
+
+    const values = () => {
+      const data = {};
+      fields.forEach(field => {
+        const value = this.fieldValue(form, field);
+        if (value !== undefined) data[field.name] = value;
+      });
+      return data;
+    };
+
+    const show = (errors, general = []) => {
+      Object.values(entries).forEach(({ field, error, inputs }) => {
+        const message = touched.has(field.name) ? errors[field.name] : null;
+        error.textContent = message || "";
+        error.hidden = !message;
+        inputs.forEach(input => {
+          if (message) input.setAttribute("aria-invalid", "true");
+          else input.removeAttribute("aria-invalid");
+        });
+      });
+      summary.textContent = general.join(" ");
+      summary.hidden = general.length === 0;
+    };
+
+    // Re-check fields once the user has left them
+    form.addEventListener("focusout", (e) => {
+      if (!e.target.name || !entries[e.target.name]) return;
+      touched.add(e.target.name);
+      show(this.validateForm(fields, values()));
+    });
+    form.addEventListener("input", (e) => {
+      if (touched.has(e.target.name)) show(this.validateForm(fields, values()));
+    });
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      fields.forEach(field => touched.add(field.name));
+
+      const data = values();
+      const errors = this.validateForm(fields, data);
+      show(errors);
+
+      const invalid = fields.find(field => errors[field.name]);
+      if (invalid) {
+        entries[invalid.name].inputs[0].focus();
+        return;
+      }
+
+      try {
+        if (onSubmit) onSubmit(record ? Object.assign({}, record, data) : data);
+      } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+
+        // Schema errors from the data set: "$[3].title" -> field "title"
+        const fieldErrors = {};
+        const general = [];
+        err.errors.forEach(({ path, message }) => {
+          const name = (/\.([\w$]+)$/.exec(path) || [])[1];
+          if (entries[name] && !fieldErrors[name]) fieldErrors[name] = `${entries[name].field.label || name} ${message}`;
+          else if (!entries[name]) general.push(`${path} ${message}`);
+        });
+        show(fieldErrors, general);
+        return;
+      }
+
+      if (!record) {
+        form.reset();
+        touched.clear();
+        show({});
+      }
+    });
+
+    return form;
+  }
+
+  /**
+   * Build the control(s) for a form field; `value` is the initial value
+   * and also what form.reset() returns to
+   */
+  formControl(field, id, value) {
+    const selected = option => Array.isArray(value)
+      ? value.some(v => String(v) === String(option.value))
+      : value !== undefined && value !== null && String(value) === String(option.value);
+
+    switch (field.type) {
+      case "textarea": {
+        const input = this.element("textarea", "input");
+        input.rows = 4;
+        input.defaultValue = value === undefined || value === null ? "" : String(value);
+        this.fieldAttributes(input, field, id);
+        return { node: input, inputs: [input] };
+      }
+
+      case "select": {
+        const input = this.element("select", "select");
+        input.multiple = Boolean(field.multiple);
+        (field.options || []).forEach(opt => {
+          const option = this.document.createElement("option");
+          option.value = opt.value;
+          option.textContent = opt.label;
+          option.defaultSelected = selected(opt);
+          input.appendChild(option);
+        });
+        this.fieldAttributes(input, field, id);
+        return { node: input, inputs: [input] };
+      }
+
+      case "radio": {
+        const group = this.element("fieldset", "radio-group");
+        const legend = this.element("legend", "legend");
+        legend.textContent = field.label;
+        group.appendChild(legend);
+
+        const inputs = (field.options || []).map((opt, i) => {
+          const label = this.element("label", "choice");
+          const input = this.document.createElement("input");
+          input.type = "radio";
+          input.value = opt.value;
+          input.defaultChecked = selected(opt);
+          this.fieldAttributes(input, field, `${id}-${i}`);
+          label.append(input, opt.label);
+          group.appendChild(label);
+          return input;
+        });
+        return { node: group, inputs };
+      }
+
+      case "checkbox": {
+        const label = this.element("label", "choice");
+        const input = this.document.createElement("input");
+        input.type = "checkbox";
+        input.defaultChecked = value === true || value === "true";
+        this.fieldAttributes(input, field, id);
+        label.append(input, field.label);
+        return { node: label, inputs: [input] };
+      }
+
+      default: {
+        const input = this.element("input", "input");
+        input.type = field.type || "text";
+        input.defaultValue = value === undefined || value === null ? "" : String(value);
+        ["min", "max", "step", "pattern"].forEach(attr => {
+          if (field[attr] !== undefined) input.setAttribute(attr, field[attr]);
+        });
+        if (field.minLength !== undefined) input.minLength = field.minLength;
+        if (field.maxLength !== undefined) input.maxLength = field.maxLength;
+        this.fieldAttributes(input, field, id);
+        return { node: input, inputs: [input] };
+      }
+    }
+  }
+
+  fieldAttributes(input, field, id) {
+    input.id = id;
+    input.name = field.name;
+    input.required = Boolean(field.required) && field.type !== "checkbox";
+    if (field.required) input.setAttribute("aria-required", "true");
+  }
+
+  /**
+   * Read a field's typed value from the form (undefined when empty and
+   * not representable, e.g. a blank number)
+   */
+  fieldValue(form, field) {
+    const option = raw => {
+      const match = (field.options || []).find(opt => String(opt.value) === raw);
+      return match ? match.value : raw;
+    };
+
+    if (field.type === "radio") {
+      const checked = Array.from(form.querySelectorAll("input[type='radio']"))
+        .find(input => input.name === field.name && input.checked);
+      return checked ? option(checked.value) : undefined;
+    }
+
+    const control = Array.from(form.elements).find(element => element.name === field.name);
+    if (!control) return undefined;
+
+    switch (field.type) {
+      case "checkbox":
+        return control.checked;
+      case "number":
+      case "range":
+        return control.value === "" ? undefined : Number(control.value);
+      case "select":
+        return field.multiple
+          ? Array.from(control.selectedOptions).map(opt => option(opt.value))
+          : option(control.value);
+      default:
+        // A blank date, email, ... has no valid value; blank text is ""
+        if (control.value === "" && !["text", "password", "textarea", "search", "tel"].includes(field.type || "text")) {
+          return undefined;
+        }
+        return control.value;
+    }
+  }
+
+  /**
+   * Check form values against field rules. Returns { name: message } for
+   * the first failing rule of each field. Rules are checked with the
+   * SchemaValidator so they mean the same as in h6x-schema.
+   */
+  validateForm(fields, data) {
+    const validator = new SchemaValidator();
+    const rules = { minimum: "min", maximum: "max" };
+    const errors = {};
+    const labelOf = name => (fields.find(field => field.name === name) || {}).label || name;
+
+    fields.forEach(field => {
+      const value = data[field.name];
+      const messages = field.messages || {};
+      const label = field.label || field.name;
+      const fail = (rule, message) => {
+        errors[field.name] = messages[rule] || `${label} ${message}`;
+      };
+
+      const empty = value === undefined || value === "" || value === false ||
+        (Array.isArray(value) && value.length === 0);
+      if (empty) {
+        if (field.required) fail("required", "is required");
+        return;
+      }
+
+      const problem = validator.validate(value, this.fieldSchema(field))[0];
+      if (problem) {
+        fail(rules[problem.rule] || problem.rule, problem.message);
+        return;
+      }
+
+      // Dates compare as ISO strings
+      if (field.type === "date" && field.min !== undefined && value < field.min) {
+        fail("min", `must be on or after ${field.min}`);
+      } else if (field.type === "date" && field.max !== undefined && value > field.max) {
+        fail("max", `must be on or before ${field.max}`);
+      } else if (field.matches && value !== data[field.matches]) {
+        fail("matches", `must match ${labelOf(field.matches)}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * JSON Schema for a single field's (non-empty) value
+   */
+  fieldSchema(field) {
+    const schema = {};
+
+    if (field.type === "number" || field.type === "range") {
+      if (field.min !== undefined) schema.minimum = Number(field.min);
+      if (field.max !== undefined) schema.maximum = Number(field.max);
+      return schema;
+    }
+
+    if (field.type === "select" && field.multiple) return schema;
+
+    ["minLength", "maxLength", "pattern"].forEach(rule => {
+      if (field[rule] !== undefined) schema[rule] = field[rule];
+    });
+    if (field.pattern !== undefined) schema.pattern = `^(?:${field.pattern})$`; // Like the HTML attribute
+
+    const formats = { email: "email", url: "uri", date: "date" };
+    if (formats[field.type]) schema.format = formats[field.type];
+
+    return schema;
+  }
+
+  /**
+   * Render card atom
+   */
+  card(data) {
+    const card = this.element("div", "card");
+
+    if (data.title) {
+      const title = this.element("h3", "card-title");
+      title.textContent = this.text(data.title);
+      card.appendChild(title);
+    }
+
+    if (data.content) {
+      const content = this.element("p", "card-content");
+      content.textContent = this.text(data.content);
+      card.appendChild(content);
+    }
+
+    return card;
+  }
+
+  /**
+   * Render stat atom (for dashboards)
+   */
+  stat(data) {
+    const stat = this.element("div", "stat");
+
+    const value = this.element("div", "stat-value");
+    value.textContent = this.text(data.value);
+
+    const label = this.element("div", "stat-label");
+    label.textContent = this.text(data.label);
+
+    stat.appendChild(value);
+    stat.appendChild(label);
+
+    return stat;
+  }
+
+  /**
+   * Render list atom
+   */
+  list(items, options = {}) {
+    const list = this.element("ul", "list");
+
+    if (!options.virtual) {
+      items.forEach((item, idx) => list.appendChild(this.listItem(item, idx, options)));
+      return list;
+    }
+
+    // Windowed: the list scrolls inside a viewport
+    const viewport = this.element("div", "viewport");
+    viewport.style.maxHeight = options.height || "480px";
+    viewport.appendChild(list);
+
+    new VirtualWindow({
+      viewport,
+      container: list,
+      renderItem: (item, idx) => this.listItem(item, idx, options),
+      createSpacer: () => this.element("li", "spacer"),
+      estimate: 50
+    }).setItems(items);
+
+    return viewport;
+  }
+
+  listItem(item, idx, options) {
+    const li = this.element("li", "list-item");
+    li.classList.toggle("h6x-clickable", Boolean(options.onClick));
+    li.dataset.index = idx;
+
+    if (typeof item === "string") {
+      li.textContent = item;
+    } else {
+      li.textContent = this.text(item[options.displayKey] || item);
+    }
+
+    if (options.onClick) {
+      li.addEventListener("click", () => options.onClick(item));
+    }
+
+    return li;
+  }
+
+  /**
+   * Render chart atom as inline SVG (bar, line, pie, donut, sparkline).
+   * Rows are objects read via options.x / options.y (y may list several
+   * series), or plain numbers. A visually hidden table carries the same
+   * data for screen readers.
+   */
+  chart(rows, options = {}) {
+    const kind = options.kind || "bar";
+    if (!CHART_KINDS.includes(kind)) {
+      console.warn(`[H6X] Unknown chart type "${kind}" (known types: ${CHART_KINDS.join(", ")})`);
+      return null;
+    }
+    const id = `h6x-chart-${++this.chartCount}`;
+    const figure = this.element("figure", "chart");
+
+    const points = (Array.isArray(rows) ? rows : []).map((row, i) =>
+      row !== null && typeof row === "object"
+        ? row
+        : { [options.x || "x"]: i + 1, [(options.y && options.y[0]) || "y"]: row }
+    );
+    const xKey = options.x || "x";
+    const series = (options.y && options.y.length ? options.y : ["y"]);
+    const labels = points.map(p => String(p[xKey] === undefined ? "" : p[xKey]));
+    const values = series.map(key => points.map(p => Number(p[key]) || 0));
+    const colors = Array.from({ length: CHART_SERIES }, (_, i) => `h6x-series-${i}`); // Classes, colored by theme
+
+    const title = options.label || `${kind} chart`;
+
+    if (points.length === 0) {
+      const empty = this.element("p", "chart-empty");
+      empty.textContent = "No data available";
+      figure.appendChild(empty);
+      return figure;
+    }
+
+    const sparkline = kind === "sparkline";
+    const width = sparkline ? 120 : 600;
+    const height = sparkline ? 32 : 300;
+
+    const svg = this.svg("svg", {
+      viewBox: `0 0 ${width} ${height}`,
+      width: sparkline ? "120" : "100%",
+      height: sparkline ? "32" : null,
+      role: "img",
+      "aria-labelledby": `${id}-title`,
+      "aria-describedby": `${id}-table`
+    });
+    const svgTitle = this.svg("title", { id: `${id}-title` });
+    svgTitle.textContent = title;
+    svg.appendChild(svgTitle);
+
+    if (kind === "pie" || kind === "donut") {
+      this.chartPie(svg, labels, values[0], colors, { width, height, donut: kind === "donut" });
+    } else if (sparkline) {
+      this.chartLine(svg, labels, values.slice(0, 1), series, colors, { width, height, margin: 2, axes: false });
+    } else {
+      const frame = { width, height, margin: { top: 16, right: 16, bottom: 32, left: 48 }, axes: true };
+      if (kind === "line") {
+        this.chartLine(svg, labels, values, series, colors, frame);
+      } else {
+        this.chartBars(svg, labels, values, series, colors, frame);
+      }
+    }
+
+    figure.appendChild(svg);
+
+    // Legend: slices for pie/donut, series for multi-series charts
+    const legendItems = kind === "pie" || kind === "donut" ? labels : (series.length > 1 ? series : []);
+    if (legendItems.length > 0 && !sparkline) {
+      const legend = this.element("ul", "chart-legend");
+
+      legendItems.forEach((name, i) => {
+        const item = this.document.createElement("li");
+        const swatch = this.element("span", "swatch");
+        swatch.classList.add(colors[i % colors.length]);
+        item.appendChild(swatch);
+        item.appendChild(this.document.createTextNode(name));
+        legend.appendChild(item);
+      });
+
+      figure.appendChild(legend);
+    }
+
+    // Hidden data table for assistive technology
+    const table = this.element("table", "visually-hidden");
+    table.id = `${id}-table`;
+
+    const caption = this.document.createElement("caption");
+    caption.textContent = title;
+    table.appendChild(caption);
+
+    const head = this.document.createElement("tr");
+    [xKey].concat(series).forEach(name => {
+      const th = this.document.createElement("th");
+      th.scope = "col";
+      th.textContent = name;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    labels.forEach((label, i) => {
+      const tr = this.document.createElement("tr");
+      const th = this.document.createElement("th");
+      th.scope = "row";
+      th.textContent = label;
+      tr.appendChild(th);
+      values.forEach(set => {
+        const td = this.document.createElement("td");
+        td.textContent = String(set[i]);
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+
+    figure.appendChild(table);
+
+    return figure;
+  }
+
+  /**
+   * Grouped bars with axes
+   */
+  chartBars(svg, labels, values, series, colors, frame) {
+    const plot = this.chartFrame(svg, labels, values, frame, true);
+    const band = plot.width / labels.length;
+    const barWidth = (band * 0.7) / values.length;
+
+    values.forEach((set, s) => {
+      set.forEach((value, i) => {
+        const y0 = plot.y(0);
+        const y1 = plot.y(value);
+        const rect = this.svg("rect", {
+          x: plot.left + band * i + band * 0.15 + barWidth * s,
+          y: Math.min(y0, y1),
+          width: Math.max(barWidth - 1, 1),
+          height: Math.abs(y0 - y1),
+          class: colors[s % colors.length],
+          fill: "currentColor"
+        });
+        this.chartTooltip(rect, series.length > 1 ? `${labels[i]} – ${series[s]}: ${value}` : `${labels[i]}: ${value}`);
+        svg.appendChild(rect);
+      });
+    });
+  }
+
+  /**
+   * One polyline per series (with axes unless frame.axes is false)
+   */
+  chartLine(svg, labels, values, series, colors, frame) {
+    const plot = frame.axes
+      ? this.chartFrame(svg, labels, values, frame, false)
+      : this.chartPlot(values, frame.width, frame.height, { top: 2, right: 2, bottom: 2, left: 2 }, false);
+    const step = labels.length > 1 ? plot.width / (labels.length - 1) : 0;
+    const xAt = i => plot.left + (labels.length > 1 ? step * i : plot.width / 2);
+
+    values.forEach((set, s) => {
+      const color = colors[s % colors.length];
+      svg.appendChild(this.svg("polyline", {
+        points: set.map((value, i) => `${xAt(i)},${plot.y(value)}`).join(" "),
+        class: color,
+        fill: "none",
+        stroke: "currentColor",
+        "stroke-width": frame.axes ? 2 : 1.5,
+        "stroke-linejoin": "round"
+      }));
+
+      if (!frame.axes) return;
+
+      set.forEach((value, i) => {
+        const dot = this.svg("circle", { cx: xAt(i), cy: plot.y(value), r: 4, class: color, fill: "currentColor" });
+        this.chartTooltip(dot, series.length > 1 ? `${labels[i]} – ${series[s]}: ${value}` : `${labels[i]}: ${value}`);
+        svg.appendChild(dot);
+      });
+    });
+  }
+
+  /**
+   * Pie or donut slices (non-positive values are skipped)
+   */
+  chartPie(svg, labels, values, colors, { width, height, donut }) {
+    const total = values.reduce((sum, v) => sum + (v > 0 ? v : 0), 0);
+    const cx = width / 2;
+    const cy = height / 2;
+    const r = Math.min(width, height) / 2 - 8;
+    const inner = donut ? r * 0.6 : 0;
+    let angle = -Math.PI / 2;
+
+    if (total === 0) return;
+
+    values.forEach((value, i) => {
+      if (!(value > 0)) return;
+      const sweep = (value / total) * Math.PI * 2;
+      const color = colors[i % colors.length];
+      const label = `${labels[i]}: ${value} (${Math.round((value / total) * 100)}%)`;
+
+      let shape;
+      if (sweep >= Math.PI * 2 - 1e-9) {
+        // Single full slice: a circle (ring for donuts)
+        shape = this.svg("circle", {
+          cx, cy, r: donut ? (r + inner) / 2 : r,
+          class: color,
+          fill: donut ? "none" : "currentColor",
+          stroke: donut ? "currentColor" : null,
+          "stroke-width": donut ? r - inner : null
+        });
+      } else {
+        const end = angle + sweep;
+        const large = sweep > Math.PI ? 1 : 0;
+        const p = (radius, a) => `${cx + radius * Math.cos(a)},${cy + radius * Math.sin(a)}`;
+        const d = donut
+          ? `M${p(r, angle)} A${r},${r} 0 ${large} 1 ${p(r, end)} L${p(inner, end)} A${inner},${inner} 0 ${large} 0 ${p(inner, angle)} Z`
+          : `M${cx},${cy} L${p(r, angle)} A${r},${r} 0 ${large} 1 ${p(r, end)} Z`;
+        shape = this.svg("path", { d, class: color, fill: "currentColor" });
+      }
+
+      this.chartTooltip(shape, label);
+      svg.appendChild(shape);
+      angle += sweep;
+    });
+  }
+
+  /**
+   * Draw y axis with ticks and x labels; returns the plot geometry
+   */
+  chartFrame(svg, labels, values, frame, banded) {
+    const plot = this.chartPlot(values, frame.width, frame.height, frame.margin, true);
+
+    plot.ticks.forEach(tick => {
+      const y = plot.y(tick);
+      svg.appendChild(this.svg("line", {
+        x1: plot.left, x2: plot.left + plot.width, y1: y, y2: y,
+        class: "h6x-chart-axis", stroke: "currentColor", "stroke-width": tick === 0 ? 1.5 : 0.5
+      }));
+      const text = this.svg("text", {
+        x: plot.left - 8, y: y + 4, "text-anchor": "end", "font-size": 11, class: "h6x-chart-label", fill: "currentColor"
+      });
+      text.textContent = String(Math.round(tick * 100) / 100);
+      svg.appendChild(text);
+    });
+
+    const band = plot.width / labels.length;
+    const step = labels.length > 1 ? plot.width / (labels.length - 1) : 0;
+    const every = Math.ceil(labels.length / 12); // Avoid overlapping labels
+
+    labels.forEach((label, i) => {
+      if (i % every !== 0) return;
+      const x = banded ? plot.left + band * i + band / 2 : plot.left + (labels.length > 1 ? step * i : plot.width / 2);
+      const text = this.svg("text", {
+        x, y: plot.top + plot.height + 20, "text-anchor": "middle", "font-size": 11, class: "h6x-chart-label", fill: "currentColor"
+      });
+      text.textContent = label;
+      svg.appendChild(text);
+    });
+
+    svg.appendChild(this.svg("line", {
+      x1: plot.left, x2: plot.left, y1: plot.top, y2: plot.top + plot.height, class: "h6x-chart-axis", stroke: "currentColor"
+    }));
+
+    return plot;
+  }
+
+  /**
+   * Plot area and y scale covering every value (and zero when `includeZero`)
+   */
+  chartPlot(values, width, height, margin, includeZero) {
+    const all = values.flat();
+    let min = all.reduce((low, n) => n < low ? n : low, Infinity);
+    let max = all.reduce((high, n) => n > high ? n : high, -Infinity);
+    if (includeZero) {
+      min = Math.min(0, min);
+      max = Math.max(0, max);
+    }
+
+    const ticks = includeZero ? this.niceTicks(min, max) : [min, max === min ? min + 1 : max];
+    const lo = ticks[0];
+    const hi = ticks[ticks.length - 1];
+    const top = margin.top;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    return {
+      left: margin.left,
+      top,
+      width: width - margin.left - margin.right,
+      height: plotHeight,
+      ticks,
+      y: value => top + plotHeight - ((value - lo) / (hi - lo)) * plotHeight
+    };
+  }
+
+  /**
+   * Round tick values spanning [min, max]
+   */
+  niceTicks(min, max, count = 5) {
+    if (min === max) max = min + 1;
+    const rough = (max - min) / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const normalized = rough / magnitude;
+    const step = (normalized < 1.5 ? 1 : normalized < 3 ? 2 : normalized < 7 ? 5 : 10) * magnitude;
+
+    const ticks = [];
+    for (let t = Math.floor(min / step) * step; t <= Math.ceil(max / step) * step + step / 2; t += step) {
+      ticks.push(Math.round(t / step) * step);
+    }
+    return ticks;
+  }
+
+  chartTooltip(element, text) {
+    const title = this.svg("title");
+    title.textContent = text;
+    element.appendChild(title);
+  }
+
+  /**
+   * Placeholder for an atom whose remote data is loading or failed to
+   * load; `onRetry` adds a Retry button
+   */
+  status(message, { error = false, onRetry = null } = {}) {
+    const box = this.element("div", error ? "status-error" : "status");
+    box.setAttribute("role", error ? "alert" : "status");
+    if (!error) box.setAttribute("aria-busy", "true");
+
+    const text = this.element("p", "status-message");
+    text.textContent = this.text(message);
+    box.appendChild(text);
+
+    if (onRetry) {
+      const button = this.element("button", "button");
+      button.type = "button";
+      button.textContent = "Retry";
+      button.addEventListener("click", onRetry);
+      box.appendChild(button);
+    }
+
+    return box;
+  }
+
+  /**
+   * Create an SVG element; null attributes are skipped
+   */
+  svg(name, attrs = {}) {
+    const element = this.document.createElementNS("http://www.w3.org/2000/svg", name);
+    Object.entries(attrs).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) element.setAttribute(key, String(value));
+    });
+    return element;
+  }
+
+  /**
+   * Create an element for a named part of an atom: class "h6x-<part>"
+   * for the theme stylesheet and a matching `part` attribute for
+   * ::part() selectors when atoms are hosted in a shadow root.
+   */
+  element(tag, part) {
+    const element = this.document.createElement(tag);
+    if (part) {
+      element.className = `h6x-${part}`;
+      element.setAttribute("part", part);
+    }
+    return element;
+  }
+
+  /**
+   * The escaping policy: every value reaches the DOM as a text node or
+   * through textContent, never as markup, so this only turns it into a
+   * display string.
+   */
+  text(value) {
+    if (value === null || value === undefined) return "";
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+
+  /**
+   * Escape a value for embedding in an HTML string (for code outside the
+   * renderer that must build markup). Also escapes `=` and backticks so
+   * the result is inert even in unquoted attribute values.
+   */
+  sanitize(value) {
+    const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;", "`": "&#96;", "=": "&#61;" };
+    return this.text(value).replace(/[&<>"'`=]/g, char => entities[char]);
+  }
+}
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+/**
+ * Safe template instantiation for custom atoms.
+ *
+ * Templates are rebuilt node by node with createElement; nothing is ever
+ * parsed from strings. `{{path}}` placeholders only land in text nodes or
+ * allowlisted attributes, URL attributes must use a safe scheme, event
+ * handler attributes and active elements (script, iframe, ...) are dropped.
+ *
+ * Directives:
+ *   h6x-each="tags" / h6x-each="tag in tags"  repeat the element per item
+ *   h6x-if="priority=high and done=false"     keep the element if true
+ *                                             (computed-expression conditions)
+ *   <slot> / <slot name="x">                  insert the atom's child content
+ */
+class TemplateEngine {
+  constructor(doc = globalThis.document) {
+    this.document = doc;
+    this.blockedElements = new Set([
+      "script", "style", "iframe", "frame", "object", "embed", "link",
+      "meta", "base", "template", "foreignobject"
+    ]);
+    this.allowedAttributes = new Set([
+      "class", "id", "title", "alt", "role", "lang", "dir", "tabindex", "hidden",
+      "colspan", "rowspan", "width", "height", "datetime", "value", "type", "name",
+      "placeholder", "for", "href", "src", "target", "rel", "part",
+      "viewbox", "d", "fill", "stroke", "cx", "cy", "r", "x", "y", "points"
+    ]);
+    this.urlAttributes = new Set(["href", "src"]);
+    this.conditions = new Map(); // Parsed h6x-if conditions
+  }
+
+  /**
+   * Instantiate a template (DocumentFragment or element) against a scope
+   * object. `slots` maps slot names ("" for default) to arrays of nodes.
+   */
+  render(template, scope, slots = {}) {
+    const fragment = this.document.createDocumentFragment();
+    Array.from(template.childNodes).forEach(node => this.renderNode(node, scope, slots, fragment));
+    return fragment;
+  }
+
+  renderNode(node, scope, slots, parent) {
+    if (node.nodeType === node.TEXT_NODE) {
+      parent.appendChild(this.document.createTextNode(this.interpolate(node.nodeValue, scope)));
+      return;
+    }
+
+    if (node.nodeType !== node.ELEMENT_NODE) return;
+
+    const tag = node.localName.toLowerCase();
+
+    if (this.blockedElements.has(tag)) {
+      console.warn(`[H6X] <${tag}> is not allowed in atom templates`);
+      return;
+    }
+
+    if (node.hasAttribute("h6x-each")) {
+      const [alias, path] = this.parseEach(node.getAttribute("h6x-each"));
+      const items = this.read(scope, path);
+      if (!Array.isArray(items)) return;
+
+      items.forEach((item, index) => {
+        const itemScope = alias
+          ? Object.assign({}, scope, { [alias]: item, $index: index })
+          : Object.assign({}, scope, item !== null && typeof item === "object" ? item : {}, { ".": item, $index: index });
+        this.renderElement(node, itemScope, slots, parent);
+      });
+      return;
+    }
+
+    this.renderElement(node, scope, slots, parent);
+  }
+
+  renderElement(node, scope, slots, parent) {
+    if (node.hasAttribute("h6x-if") && !this.test(node.getAttribute("h6x-if"), scope)) return;
+
+    if (node.localName.toLowerCase() === "slot") {
+      const content = slots[node.getAttribute("name") || ""];
+      if (content && content.length > 0) {
+        content.forEach(child => this.renderNode(child, scope, {}, parent));
+      } else {
+        // Fallback content
+        Array.from(node.childNodes).forEach(child => this.renderNode(child, scope, slots, parent));
+      }
+      return;
+    }
+
+    const element = node.namespaceURI && node.namespaceURI !== "http://www.w3.org/1999/xhtml"
+      ? this.document.createElementNS(node.namespaceURI, node.localName)
+      : this.document.createElement(node.localName);
+
+    Array.from(node.attributes).forEach(attr => {
+      const name = attr.name.toLowerCase();
+      if (name === "h6x-each" || name === "h6x-if") return;
+
+      const dynamic = attr.value.includes("{{");
+      const value = this.interpolate(attr.value, scope);
+
+      if (!this.isAllowedAttribute(name, dynamic)) {
+        console.warn(`[H6X] Attribute "${attr.name}" is not allowed in atom templates`);
+        return;
+      }
+      if (this.urlAttributes.has(name) && !this.isSafeURL(value)) {
+        console.warn(`[H6X] Blocked unsafe URL in "${attr.name}": ${value}`);
+        return;
+      }
+
+      element.setAttribute(attr.name, value);
+    });
+
+    Array.from(node.childNodes).forEach(child => this.renderNode(child, scope, slots, element));
+    parent.appendChild(element);
+  }
+
+  /**
+   * Static `style` is allowed; interpolated styles are not
+   */
+  isAllowedAttribute(name, dynamic) {
+    if (name.startsWith("on")) return false;
+    if (name.startsWith("aria-") || name.startsWith("data-")) return true;
+    if (name === "style") return !dynamic;
+    return this.allowedAttributes.has(name);
+  }
+
+  /**
+   * Normalize the way the browser's URL parser does before reading the
+   * scheme: it trims C0 controls and spaces and drops tabs and newlines
+   * anywhere, so "java\tscript:" is still javascript:
+   */
+  isSafeURL(value) {
+    const url = String(value).replace(/^[\x00-\x20]+|[\x00-\x20]+$/g, "").replace(/[\t\n\r]/g, "");
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    return !scheme || ["http", "https", "mailto", "tel"].includes(scheme[1].toLowerCase());
+  }
+
+  /**
+   * Replace {{path}} placeholders with text ("" when missing)
+   */
+  interpolate(text, scope) {
+    return text.replace(/\{\{\s*([\w$.]+|\.)\s*\}\}/g, (_, path) => {
+      const value = this.read(scope, path);
+      if (value === undefined || value === null) return "";
+      return typeof value === "object" ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  /**
+   * Read a dotted path from the scope (own properties only)
+   */
+  read(scope, path) {
+    if (path === ".") return scope["."];
+    return path.split(".").reduce((current, key) =>
+      current !== null && typeof current === "object" &&
+      Object.prototype.hasOwnProperty.call(current, key) ? current[key] : undefined, scope);
+  }
+
+  parseEach(expr) {
+    const match = /^\s*([\w$]+)\s+in\s+([\w$.]+)\s*$/.exec(expr);
+    return match ? [match[1], match[2]] : [null, expr.trim()];
+  }
+
+  /**
+   * Evaluate an h6x-if condition with the computed-expression grammar
+   */
+  test(expr, scope) {
+    let condition = this.conditions.get(expr);
+
+    if (!condition) {
+      try {
+        const parser = new ExpressionParser(expr);
+        condition = parser.parseOr();
+        if (parser.peek().type !== "eof") parser.fail();
+      } catch (err) {
+        console.error(`[H6X] Invalid h6x-if "${expr}":`, err.message);
+        condition = { type: "never" };
+      }
+      this.conditions.set(expr, condition);
+    }
+
+    return new ExpressionEvaluator(() => null).test(condition, scope);
+  }
+}
+
+// ============================================================================
+// LAYOUT MANAGER
+// ============================================================================
+
+// Smallest size of either split pane, in percent
+const SPLIT_MIN = 10;
+
+class LayoutManager {
+  constructor(doc = globalThis.document) {
+    this.document = doc;
+    this.count = 0; // For unique sidebar ids
+  }
+
+  /**
+   * Create dashboard layout. Below the breakpoint the sidebar becomes a
+   * drawer opened from a "Menu" button at the top of main.
+   */
+  dashboard() {
+    const layout = this.element("div", "layout-dashboard");
+    const sidebar = this.element("aside", "sidebar");
+    const main = this.element("main", "main");
+    sidebar.id = `h6x-sidebar-${++this.count}`;
+
+    const toggle = this.element("button", "drawer-toggle");
+    toggle.type = "button";
+    toggle.textContent = "Menu";
+    toggle.setAttribute("aria-controls", sidebar.id);
+    toggle.setAttribute("aria-expanded", "false");
+
+    const setOpen = (open) => {
+      layout.toggleAttribute("data-drawer-open", open);
+      toggle.setAttribute("aria-expanded", String(open));
+    };
+
+    toggle.addEventListener("click", () => {
+      const open = !layout.hasAttribute("data-drawer-open");
+      setOpen(open);
+      const first = sidebar.querySelector("button, a[href]");
+      if (open && first) first.focus();
+    });
+
+    // Close after navigating, or on Escape (focus returns to the toggle)
+    sidebar.addEventListener("click", (e) => {
+      if (e.target.closest(".h6x-nav-item")) setOpen(false);
+    });
+    layout.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape" || !layout.hasAttribute("data-drawer-open")) return;
+      setOpen(false);
+      toggle.focus();
+    });
+
+    main.appendChild(toggle);
+    layout.appendChild(sidebar);
+    layout.appendChild(main);
+
+    return { layout, sidebar, main };
+  }
+
+  /**
+   * Create split layout: two panes with a draggable divider between them.
+   * `position` is the first pane's initial size, e.g. "30%".
+   */
+  split(orientation = "horizontal", { position } = {}) {
+    const layout = this.element("div", "layout-split");
+    layout.dataset.orientation = orientation === "vertical" ? "vertical" : "horizontal";
+    if (position) this.setSplit(layout, parseFloat(position));
+
+    return layout;
+  }
+
+  /**
+   * Build the divider for a split; call after the first pane is added.
+   * Drag it, or focus it and use the arrow keys, Home and End.
+   */
+  splitDivider(layout) {
+    const vertical = layout.dataset.orientation === "vertical";
+    const divider = this.element("div", "divider");
+    divider.tabIndex = 0;
+    divider.setAttribute("role", "separator");
+    divider.setAttribute("aria-orientation", vertical ? "horizontal" : "vertical");
+    divider.setAttribute("aria-valuemin", String(SPLIT_MIN));
+    divider.setAttribute("aria-valuemax", String(100 - SPLIT_MIN));
+    divider.setAttribute("aria-valuenow", String(Math.round(parseFloat(layout.dataset.split) || 50)));
+    divider.setAttribute("aria-label", "Resize panels");
+
+    const set = (percent) => {
+      divider.setAttribute("aria-valuenow", String(Math.round(this.setSplit(layout, percent))));
+    };
+
+    divider.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      divider.setPointerCapture(e.pointerId);
+
+      const move = (event) => {
+        const rect = layout.getBoundingClientRect();
+        set(vertical
+          ? ((event.clientY - rect.top) / rect.height) * 100
+          : ((event.clientX - rect.left) / rect.width) * 100);
+      };
+      const stop = () => {
+        divider.removeEventListener("pointermove", move);
+        divider.removeEventListener("pointerup", stop);
+        divider.removeEventListener("pointercancel", stop);
+      };
+
+      divider.addEventListener("pointermove", move);
+      divider.addEventListener("pointerup", stop);
+      divider.addEventListener("pointercancel", stop);
+    });
+
+    divider.addEventListener("keydown", (e) => {
+      const current = parseFloat(layout.dataset.split) || 50;
+      const moves = vertical
+        ? { ArrowUp: current - 5, ArrowDown: current + 5 }
+        : { ArrowLeft: current - 5, ArrowRight: current + 5 };
+      Object.assign(moves, { Home: SPLIT_MIN, End: 100 - SPLIT_MIN });
+
+      if (!(e.key in moves)) return;
+      e.preventDefault();
+      set(moves[e.key]);
+    });
+
+    return divider;
+  }
+
+  /**
+   * Size a split's first pane (percent, clamped); returns the size used
+   */
+  setSplit(layout, percent) {
+    const size = Math.min(100 - SPLIT_MIN, Math.max(SPLIT_MIN, Number.isFinite(percent) ? percent : 50));
+    layout.dataset.split = String(size);
+    layout.style.setProperty("--h6x-split", `${size}%`);
+    return size;
+  }
+
+  /**
+   * Create centered layout
+   */
+  centered() {
+    return this.element("div", "layout-centered");
+  }
+
+  /**
+   * Create grid layout.
+   *
+   *   columns  a number of equal columns or a grid-template-columns value
+   *   rows     a number of rows or a grid-template-rows value
+   *   areas    rows of area names separated by ";" ("head head; nav main")
+   *   gap      gap between cells
+   *
+   * Values are set as custom properties through the CSSOM, so the
+   * stylesheet can drop them to one column below the breakpoint.
+   */
+  grid({ columns, rows, areas, gap } = {}) {
+    const layout = this.element("div", "layout-grid");
+
+    if (columns) {
+      layout.style.setProperty("--h6x-grid-columns", /^\d+$/.test(columns) ? `repeat(${columns}, minmax(0, 1fr))` : columns);
+    }
+    if (rows) {
+      layout.style.setProperty("--h6x-grid-rows", /^\d+$/.test(rows) ? `repeat(${rows}, auto)` : rows);
+    }
+    if (areas) {
+      const names = areas.split(";").map(row => row.trim().split(/\s+/)).filter(row => row[0]);
+      const invalid = names.flat().find(name => !/^([A-Za-z_][\w-]*|\.+)$/.test(name));
+      if (invalid) {
+        console.error(`[H6X] Invalid grid area name "${invalid}"`);
+      } else {
+        layout.style.setProperty("--h6x-grid-areas", names.map(row => `"${row.join(" ")}"`).join(" "));
+        layout.dataset.areas = [...new Set(names.flat())].join(" ");
+      }
+    }
+    if (gap) layout.style.setProperty("--h6x-grid-gap", gap);
+
+    return layout;
+  }
+
+  /**
+   * Place a grid panel: area="name", span="2" (columns), row-span="2"
+   */
+  gridPanel(layout, section, { area, span, "row-span": rowSpan } = {}) {
+    if (area) {
+      if ((layout.dataset.areas || "").split(" ").includes(area)) {
+        section.dataset.area = area;
+        section.style.setProperty("--h6x-area", area);
+      } else {
+        console.error(`[H6X] Grid panel area "${area}" is not in the layout's areas`);
+      }
+    }
+
+    [["--h6x-column", span, "span"], ["--h6x-row", rowSpan, "row-span"]].forEach(([property, value, name]) => {
+      if (value === undefined) return;
+      if (/^[1-9]\d*$/.test(value)) {
+        section.style.setProperty(property, `span ${value}`);
+      } else {
+        console.error(`[H6X] Grid panel ${name} must be a positive integer, got "${value}"`);
+      }
+    });
+  }
+
+  /**
+   * Mark the layout compact (data-compact) while the viewport is at most
+   * `breakpoint` wide; the stylesheet collapses compact layouts. Returns
+   * a function that stops tracking the viewport.
+   */
+  responsive(layout, breakpoint = "768px") {
+    const view = this.document.defaultView;
+    if (!view || typeof view.matchMedia !== "function") return;
+
+    if (!/^\d+(\.\d+)?(px|em|rem)$/.test(breakpoint)) {
+      console.error(`[H6X] Invalid layout breakpoint "${breakpoint}" (use px, em or rem)`);
+      return;
+    }
+
+    const query = view.matchMedia(`(max-width: ${breakpoint})`);
+    const update = () => {
+      layout.toggleAttribute("data-compact", query.matches);
+      if (!query.matches) layout.removeAttribute("data-drawer-open");
+    };
+    query.addEventListener("change", update);
+    update();
+    return () => query.removeEventListener("change", update);
+  }
+
+  /**
+   * Create a layout part; same class/part convention as Renderer#element
+   */
+  element(tag, part) {
+    const element = this.document.createElement(tag);
+    element.className = `h6x-${part}`;
+    element.setAttribute("part", part);
+    return element;
+  }
+}
+
+// ============================================================================
+// ROUTER
+// ============================================================================
+
+/**
+ * View routing for dashboard panels.
+ *
+ * Routes come from `view` attributes (`tasks`, `users/:id`). The current
+ * path lives in the `currentView` state and route parameters in
+ * `routeParams`; once started, both are synced with the URL hash
+ * (`#/users/3`) through the History API so views are deep-linkable and
+ * back/forward work.
+ */
+class Router {
+  constructor(store, stateName = "currentView", win = globalThis.window) {
+    this.store = store;
+    this.window = win;
+    this.stateName = stateName;
+    this.routes = [];
+    this.started = false;
+    this.onPopState = () => this.navigate(this.pathFromURL(), { fromHistory: true });
+  }
+
+  /**
+   * Register a view pattern; `:name` segments capture parameters
+   */
+  addRoute(pattern) {
+    const normalized = this.normalize(pattern);
+    if (this.routes.some(route => route.pattern === normalized)) return;
+
+    this.routes.push({ pattern: normalized, segments: normalized.split("/") });
+  }
+
+  /**
+   * Match a path against the registered routes. Paths are in URL form:
+   * parameters are decoded here, once, and a malformed escape such as
+   * "50%" matches nothing.
+   */
+  match(path) {
+    const segments = this.normalize(path).split("/");
+
+    for (const route of this.routes) {
+      if (route.segments.length !== segments.length) continue;
+
+      const params = {};
+      const matched = route.segments.every((segment, i) => {
+        if (segment.startsWith(":")) {
+          const value = this.decode(segments[i]);
+          params[segment.slice(1)] = value;
+          return value !== null && value !== "";
+        }
+        return segment === segments[i];
+      });
+
+      if (matched) return { pattern: route.pattern, params };
+    }
+
+    return null;
+  }
+
+  /**
+   * Start syncing with the URL. The hash wins over `fallback`
+   * (normally the initial `currentView` state).
+   */
+  start(fallback) {
+    if (this.started) return;
+    this.started = true;
+
+    this.window.addEventListener("popstate", this.onPopState);
+    this.window.addEventListener("hashchange", this.onPopState);
+
+    const candidates = [this.pathFromURL(), fallback];
+    const plain = this.routes.find(route => !route.pattern.includes(":"));
+    const initial = candidates.find(path => path && this.match(path)) || (plain ? plain.pattern : "");
+    this.navigate(initial, { replace: true });
+  }
+
+  stop() {
+    this.window.removeEventListener("popstate", this.onPopState);
+    this.window.removeEventListener("hashchange", this.onPopState);
+    this.started = false;
+  }
+
+  /**
+   * Switch to a path: update state, then the URL (unless the change
+   * came from the URL itself)
+   */
+  navigate(path, { replace = false, fromHistory = false } = {}) {
+    path = this.toURLPath(path);
+
+    if (this.started && this.routes.length > 0 && !this.match(path)) {
+      console.warn(`[H6X] No view matches "${path}"`);
+      return false;
+    }
+
+    const match = this.match(path);
+    this.store.setState("routeParams", match ? match.params : {});
+    this.store.setState(this.stateName, path);
+
+    if (this.started && !fromHistory && this.pathFromURL() !== path) {
+      if (replace) {
+        this.window.history.replaceState(null, "", `#/${path}`);
+      } else {
+        this.window.history.pushState(null, "", `#/${path}`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether a panel's view pattern is the one currently shown
+   */
+  isActive(pattern) {
+    const match = this.match(this.store.getState(this.stateName) || "");
+    return Boolean(match) && match.pattern === this.normalize(pattern);
+  }
+
+  pathFromURL() {
+    return this.toURLPath(this.window.location.hash.replace(/^#\/?/, ""));
+  }
+
+  normalize(path) {
+    return String(path || "").trim().replace(/^\/+|\/+$/g, "");
+  }
+
+  /**
+   * Canonical URL form of a path: "users/Ann Smith" and
+   * "users/Ann%20Smith" are the same path. Malformed segments are kept
+   * as they are, so they fail to match instead of throwing.
+   */
+  toURLPath(path) {
+    return this.normalize(path).split("/").map(segment => {
+      const value = this.decode(segment);
+      return value === null ? segment : encodeURIComponent(value);
+    }).join("/");
+  }
+
+  decode(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (err) {
+      return null;
+    }
+  }
+}
+
+// ============================================================================
+// MAIN RUNTIME
+// ============================================================================
+
+const BUILT_IN_ATOMS = ["table", "form", "card", "stat", "list", "chart"];
+const BUILT_IN_LAYOUTS = ["dashboard", "split", "centered", "grid"];
+
+// Plugin <script> elements being loaded -> the runtime that loads each,
+// so h6x.plugin() calls reach that runtime (see plugin())
+const PLUGIN_SCRIPTS = new WeakMap();
+
+// Plugin URLs whose bytes verifyIntegrity has just approved, and the
+// "h6x" Trusted Types policy, which mints script URLs for those only.
+// Both stay in module scope so page scripts cannot reach them.
+const VERIFIED_PLUGIN_URLS = new Set();
+let pluginPolicy = null;
+
+// window.h6x for plugin scripts when no runtime was auto-booted
+// (data-h6x-manual, createRuntime() from an ES module)
+const PLUGIN_HOST = Object.freeze({
+  plugin(name, setup) {
+    const loader = PLUGIN_SCRIPTS.get(document.currentScript);
+    if (!loader) {
+      console.error(`[H6X] Plugin "${name}" was not loaded by an <h6x-plugin>`);
+      return false;
+    }
+    return loader.plugin(name, setup);
+  }
+});
+
+// Tables and lists with more rows than this render through a VirtualWindow
+const VIRTUAL_THRESHOLD = 500;
+
+// Declarations a prerendered page keeps for boot() in the browser
+const SOURCE_TAGS = "h6x-theme, h6x-audit, h6x-plugin, h6x-schema, h6x-atom-definition, h6x-data, h6x-state, h6x-app";
+
+class H6XRuntime {
+  /**
+   * `root` is the document or element whose h6x-* elements this runtime
+   * boots (a server-side DOM's document for prerender()). `store` shares
+   * an existing Store; by default each runtime has its own.
+   */
+  constructor({ root = globalThis.document, store = null } = {}) {
+    this.root = root;
+    this.document = root.ownerDocument || root;
+    this.window = this.document.defaultView;
+    this.ownsStore = !store;
+    this.store = store || new Store(this.window);
+    this.renderer = new Renderer(this.store, this.document);
+    this.layout = new LayoutManager(this.document);
+    // Token overrides apply to the runtime's subtree
+    this.theme = new ThemeManager(root === this.document ? this.document.documentElement : root);
+    this.apps = []; // Mounted layouts
+    this.cleanup = []; // Undo listeners and subscriptions on unmount()
+    this.router = new Router(this.store, "currentView", this.window);
+    this.templates = new TemplateEngine(this.document);
+    this.atomDefinitions = Object.create(null); // name -> template fragment
+    this.atomTypes = Object.create(null); // Plugin atoms: name -> render(data, attributes)
+    this.layoutTypes = Object.create(null); // Plugin layouts: name -> create(attributes)
+    this.hooks = { beforeMount: [], afterRender: [] };
+    this.plugins = new Map(); // name -> setup, in registration order
+    this.declaredActions = new Set(); // "name(args)" of every rendered action attribute
+    this.bindings = new Set(); // Mounted atoms with store dependencies
+    this.tableViews = new WeakMap(); // Table atom -> sort/search/page state
+    this.pendingUpdates = new Set();
+    this.history = this.store.history;
+    this.audit = new AuditLog();
+
+    // Every data and state change joins the audit trail, attributed to
+    // the atom whose action caused it
+    this.cleanup.push(this.history.listen(entry => this.auditChange(entry)));
+    this.onKeyDown = (e) => this.handleShortcut(e);
+
+    // Declarative actions: action="create(tasks)" or "h6x:delete(tasks)".
+    // Each handler receives the parsed arguments and the triggering record.
+    this.actions = Object.assign(Object.create(null), {
+      create: ([name], record) => this.store.insert(name, record),
+      update: ([name], record) => this.store.update(name, record[this.store.keyOf(name)], record),
+      upsert: ([name], record) => this.store.upsert(name, record),
+      delete: ([name], record) => this.store.remove(name, record[this.store.keyOf(name)]),
+      navigate: ([path], record) => this.router.navigate(this.interpolate(path, record, encodeURIComponent)),
+      setState: ([name, value], record) => this.store.setState(name, this.interpolate(value, record))
+    });
+  }
+
+  /**
+   * Boot the runtime. On a prerendered page (see prerender()) the
+   * declarations come from <template data-h6x-source> and the store from
+   * the snapshot; each app is rendered again and replaces its prerendered
+   * markup (this is not hydration: the server's nodes are discarded).
+   */
+  async boot() {
+    console.log("[H6X] Booting runtime...");
+
+    const source = this.root.querySelector("template[data-h6x-source]");
+    const snapshot = this.root.querySelector("script[data-h6x-snapshot]");
+    const root = source ? source.content : this.root;
+
+    // Theme stylesheet and token overrides before anything renders
+    this.theme.install();
+
+    await this.declare(root);
+
+    // A prerendered store replaces the inline data it was built from
+    if (snapshot) {
+      this.store.deserialize(JSON.parse(snapshot.textContent));
+      snapshot.remove();
+    }
+
+    // Swap in persisted data before anything renders
+    await this.store.hydrate();
+
+    // The history log starts from the hydrated store
+    this.history.start();
+    this.root.addEventListener("keydown", this.onKeyDown);
+
+    // Mount all applications
+    root.querySelectorAll("h6x-app").forEach((app, index) => {
+      const prerendered = source && this.root.querySelector(`[data-h6x-app="${index}"]`);
+      if (source && !prerendered) {
+        console.warn(`[H6X] No prerendered markup for app #${index}; appending it`);
+      }
+      this.mount(app, prerendered || (source ? null : app));
+    });
+    if (source) source.remove();
+
+    // Remote data renders as loading until it arrives
+    this.store.connect();
+
+    console.log("[H6X] Runtime ready");
+  }
+
+  /**
+   * Read a page's declarations, in dependency order. `plugins: false`
+   * drops plugins unloaded (prerender() cannot run their scripts).
+   */
+  async declare(root, { plugins = true } = {}) {
+    root.querySelectorAll("h6x-theme").forEach(node => this.theme.apply(node));
+
+    // Audit settings before anything is recorded
+    root.querySelectorAll("h6x-audit").forEach(node => this.audit.configure(node));
+
+    // Plugins first: they may add operators used by compute expressions
+    for (const node of root.querySelectorAll("h6x-plugin")) {
+      if (plugins) {
+        await this.loadPlugin(node);
+      } else {
+        node.remove();
+      }
+    }
+
+    // Register schemas before any data is validated against them
+    root.querySelectorAll("h6x-schema").forEach(node => this.store.loadSchema(node));
+
+    // Register custom atom types
+    root.querySelectorAll("h6x-atom-definition").forEach(node => this.defineAtom(node));
+
+    // Load all data sources
+    root.querySelectorAll("h6x-data").forEach(node => this.store.load(node));
+
+    // Load all state
+    root.querySelectorAll("h6x-state").forEach(node => this.store.loadState(node));
+  }
+
+  /**
+   * Render the page to static HTML; in Node, construct the runtime with
+   * a server-side DOM's window (h6x-prerender.js does this with jsdom).
+   *
+   * Runs the same pipeline as boot(), except that plugins are skipped,
+   * nothing is read from or written to IndexedDB and remote data is
+   * fetched once (or, with `remote: false`, left to the browser). The
+   * page keeps the rendered apps (data-h6x-app), a copy of its h6x
+   * source and a store snapshot for boot() to take over from.
+   */
+  async prerender({ remote = true } = {}) {
+    const source = this.document.createElement("template");
+    source.setAttribute("data-h6x-source", "");
+    this.root.querySelectorAll(SOURCE_TAGS).forEach(node => {
+      if (!node.parentElement.closest(SOURCE_TAGS)) source.content.appendChild(node.cloneNode(true));
+    });
+
+    this.theme.install();
+    await this.declare(this.root, { plugins: false });
+
+    this.root.querySelectorAll("h6x-app").forEach((app, index) => {
+      const layout = this.mount(app);
+      if (layout) layout.dataset.h6xApp = index;
+    });
+
+    if (remote) {
+      await Promise.all(Object.keys(this.store.remote).map(name => this.store.refresh(name)));
+      this.flushUpdates();
+    }
+    this.router.stop();
+
+    const snapshot = this.document.createElement("script");
+    snapshot.type = "application/json";
+    snapshot.setAttribute("data-h6x-snapshot", "");
+    // Escape "<" so the JSON cannot close the script element
+    snapshot.textContent = JSON.stringify(this.store.serialize()).replace(/</g, "\\u003c");
+
+    this.host().append(source, snapshot);
+  }
+
+  /**
+   * Stop the runtime: remove its listeners, timers and subscriptions and
+   * take its apps out of the page. A shared store keeps its remote data
+   * sources running.
+   */
+  unmount() {
+    this.root.removeEventListener("keydown", this.onKeyDown);
+    this.router.stop();
+    if (this.ownsStore) this.store.disconnect();
+
+    this.cleanup.forEach(fn => fn());
+    this.cleanup = [];
+    this.bindings.forEach(binding => binding.unsubscribe());
+    this.bindings.clear();
+    this.pendingUpdates.clear();
+
+    this.apps.forEach(layout => layout.remove());
+    this.apps = [];
+  }
+
+  /**
+   * Element apps without a place in the page are appended to
+   */
+  host() {
+    return this.root === this.document ? this.document.body : this.root;
+  }
+
+  /**
+   * Mount an application in place of `target` (by default the app
+   * element; null appends it to the body). Returns the layout.
+   */
+  mount(appNode, target = appNode) {
+    const name = appNode.getAttribute("name");
+    const mode = appNode.getAttribute("mode");
+
+    console.log(`[H6X] Mounting app: ${name}`);
+    this.audit.app = name;
+
+    this.runHooks("beforeMount", appNode);
+
+    const layoutNode = appNode.querySelector("h6x-layout");
+    if (!layoutNode) {
+      console.error("[H6X] No layout found in app");
+      return null;
+    }
+
+    let layout;
+    try {
+      layout = this.mountLayout(layoutNode);
+    } catch (err) {
+      console.error(err.message);
+      return null;
+    }
+
+    if (!target) {
+      this.host().appendChild(layout);
+    } else {
+      if (target !== appNode) this.keepInput(target, layout);
+      target.replaceWith(layout);
+    }
+    this.apps.push(layout);
+    return layout;
+  }
+
+  /**
+   * Carry values typed into prerendered forms over to the re-rendered ones
+   * (forms matched by order, fields by order, name and type)
+   */
+  keepInput(from, to) {
+    const forms = to.querySelectorAll("form");
+
+    from.querySelectorAll("form").forEach((form, i) => {
+      if (!forms[i]) return;
+      const fields = Array.from(forms[i].elements);
+
+      Array.from(form.elements).forEach((field, k) => {
+        const target = fields[k];
+        if (!field.name || !target || target.name !== field.name || target.type !== field.type) return;
+
+        if (field.type === "checkbox" || field.type === "radio") {
+          target.checked = field.checked;
+        } else if (field.value !== target.value) {
+          target.value = field.value;
+        }
+      });
+    });
+  }
+
+  /**
+   * Build a layout and render its panels (its own h6x-panel children).
+   * Panels may contain further layouts; `nested` marks those so they
+   * size to their content instead of the viewport.
+   */
+  mountLayout(layoutNode, nested = false) {
+    const type = layoutNode.getAttribute("type");
+    const attributes = this.attributesOf(layoutNode);
+    const panels = Array.from(layoutNode.children).filter(child => child.localName === "h6x-panel");
+    let layout;
+
+    if (this.layoutTypes[type]) {
+      layout = this.mountPluginLayout(panels, type, attributes);
+    } else if (type === "dashboard") {
+      layout = this.mountDashboard(panels);
+    } else if (type === "split") {
+      layout = this.mountSplit(panels, attributes);
+    } else if (type === "centered") {
+      layout = this.mountCentered(panels);
+    } else if (type === "grid") {
+      layout = this.mountGrid(panels, attributes);
+    } else {
+      const known = BUILT_IN_LAYOUTS.concat(Object.keys(this.layoutTypes)).join(", ");
+      throw new Error(type
+        ? `[H6X] Unknown layout type "${type}" (known types: ${known})`
+        : `[H6X] h6x-layout is missing its type attribute (known types: ${known})`);
+    }
+
+    if (nested) layout.dataset.nested = "";
+    if (BUILT_IN_LAYOUTS.includes(type) && type !== "centered") {
+      const stop = this.layout.responsive(layout, attributes.breakpoint);
+      if (stop) this.cleanup.push(stop);
+    }
+
+    return layout;
+  }
+
+  /**
+   * Mount dashboard layout
+   */
+  mountDashboard(panels) {
+    const { layout, sidebar, main } = this.layout.dashboard();
+    const views = [];
+
+    panels.forEach(panel => {
+      const slot = panel.getAttribute("slot");
+      const view = panel.getAttribute("view");
+
+      if (slot === "sidebar") {
+        this.renderSidebar(panel, sidebar);
+      } else if (slot === "main" && view) {
+        // Routed panel: shown only while its view is current
+        const section = this.layout.element("section", "panel");
+        section.dataset.view = view;
+        this.renderPanel(panel, section);
+        main.appendChild(section);
+        this.router.addRoute(view);
+        views.push(section);
+      } else if (slot === "main") {
+        this.renderPanel(panel, main);
+      }
+    });
+
+    if (views.length > 0) {
+      const update = () => views.forEach(section => {
+        section.hidden = !this.router.isActive(section.dataset.view);
+      });
+      this.cleanup.push(this.store.subscribe(["$" + this.router.stateName], update));
+      this.router.start(this.store.getState(this.router.stateName));
+      update();
+    }
+
+    return layout;
+  }
+
+  /**
+   * Mount split layout; a divider goes between the first two panels
+   */
+  mountSplit(panels, attributes) {
+    const layout = this.layout.split(attributes.orientation, attributes);
+
+    panels.forEach((panel, i) => {
+      if (i === 1) layout.appendChild(this.layout.splitDivider(layout));
+      const section = this.layout.element("section", "panel");
+      this.renderPanel(panel, section);
+      layout.appendChild(section);
+    });
+
+    return layout;
+  }
+
+  /**
+   * Mount grid layout; panels place themselves with area/span/row-span
+   */
+  mountGrid(panels, attributes) {
+    const layout = this.layout.grid(attributes);
+
+    panels.forEach(panel => {
+      const section = this.layout.element("section", "panel");
+      this.layout.gridPanel(layout, section, this.attributesOf(panel));
+      this.renderPanel(panel, section);
+      layout.appendChild(section);
+    });
+
+    return layout;
+  }
+
+  /**
+   * Mount a plugin layout. Panels render into the layout's
+   * [data-slot="<slot>"] container, or the layout itself.
+   */
+  mountPluginLayout(panels, layoutType, attributes) {
+    const layout = this.layoutTypes[layoutType](attributes);
+    this.markPart(layout, `layout-${layoutType}`);
+
+    const slots = Array.from(layout.querySelectorAll("[data-slot]"));
+
+    panels.forEach(panel => {
+      const slot = panel.getAttribute("slot");
+      const container = slots.find(el => el.dataset.slot === slot) || layout;
+      const section = this.layout.element("section", "panel");
+      this.renderPanel(panel, section);
+      container.appendChild(section);
+    });
+
+    return layout;
+  }
+
+  /**
+   * Mount centered layout
+   */
+  mountCentered(panels) {
+    const layout = this.layout.centered();
+
+    if (panels[0]) {
+      const container = this.layout.element("div", "centered-content");
+      this.renderPanel(panels[0], container);
+      layout.appendChild(container);
+    }
+
+    return layout;
+  }
+
+  /**
+   * Render sidebar navigation. Each line is an item; "Label | view"
+   * names the view explicitly, otherwise it is derived from the label
+   * ("All Tasks" -> "all-tasks").
+   */
+  renderSidebar(panel, sidebar) {
+    const items = panel.textContent
+      .split("\n")
+      .map(i => i.trim())
+      .filter(Boolean)
+      .map(line => {
+        const [label, view] = line.split("|").map(part => part.trim());
+        return { label, view: view || this.slugify(label) };
+      });
+
+    const nav = this.layout.element("nav", "nav");
+    nav.setAttribute("aria-label", "Main");
+    const buttons = [];
+
+    items.forEach(item => {
+      const btn = this.layout.element("button", "nav-item");
+      btn.type = "button";
+      btn.textContent = item.label;
+      btn.dataset.view = item.view;
+
+      btn.addEventListener("click", () => {
+        console.log(`[H6X] Navigation: ${item.label}`);
+        this.router.navigate(item.view);
+      });
+
+      buttons.push(btn);
+      nav.appendChild(btn);
+    });
+
+    // Arrow keys move between items (roving tabindex)
+    nav.addEventListener("keydown", (e) => {
+      const index = buttons.indexOf(e.target);
+      if (index === -1) return;
+
+      let next = null;
+      if (e.key === "ArrowDown") next = (index + 1) % buttons.length;
+      else if (e.key === "ArrowUp") next = (index - 1 + buttons.length) % buttons.length;
+      else if (e.key === "Home") next = 0;
+      else if (e.key === "End") next = buttons.length - 1;
+      if (next === null) return;
+
+      e.preventDefault();
+      buttons[next].focus();
+    });
+
+    const markActive = () => {
+      const current = String(this.store.getState(this.router.stateName) || "");
+      const active = buttons.find(btn => current === btn.dataset.view) ||
+        buttons.find(btn => current.startsWith(btn.dataset.view + "/"));
+
+      buttons.forEach(btn => {
+        const isActive = btn === active;
+        btn.tabIndex = isActive || (!active && btn === buttons[0]) ? 0 : -1;
+        if (isActive) {
+          btn.setAttribute("aria-current", "page");
+        } else {
+          btn.removeAttribute("aria-current");
+        }
+      });
+    };
+
+    this.cleanup.push(this.store.subscribe(["$" + this.router.stateName], markActive));
+    markActive();
+
+    sidebar.appendChild(nav);
+  }
+
+  /**
+   * Derive a view id from a label
+   */
+  slugify(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  }
+
+  /**
+   * Fill {{path}} placeholders from a record (missing values become "")
+   */
+  interpolate(template, record, encode = String) {
+    if (template === undefined || template === null) return template;
+
+    return String(template).replace(/\{\{\s*([\w$.]+)\s*\}\}/g, (_, path) => {
+      const value = path.split(".").reduce((current, key) =>
+        current !== null && typeof current === "object" &&
+        Object.prototype.hasOwnProperty.call(current, key) ? current[key] : undefined, record);
+      return value === undefined || value === null ? "" : encode(String(value));
+    });
+  }
+
+  /**
+   * Render panel content in document order: atoms and nested layouts,
+   * looking through any other wrapper elements
+   */
+  renderPanel(panel, container) {
+    Array.from(panel.children).forEach(child => {
+      if (child.localName === "h6x-layout") {
+        container.appendChild(this.mountLayout(child, true));
+      } else if (child.localName === "h6x-atom") {
+        const element = this.renderAtom(child);
+
+        if (element) {
+          container.appendChild(element);
+          this.bind(child, element);
+        }
+      } else {
+        this.renderPanel(child, container);
+      }
+    });
+  }
+
+  /**
+   * Render a single atom to a DOM element
+   */
+  renderAtom(atom) {
+    const type = atom.getAttribute("type");
+    const source = atom.getAttribute("source");
+    const compute = atom.getAttribute("compute");
+    const actions = this.parseActions(atom.getAttribute("action"));
+    actions.forEach(action => this.declaredActions.add(this.actionKey(action)));
+
+    const context = this.atomContext(atom);
+
+    let element = this.remoteStatus(atom);
+    if (element) return element;
+
+    switch (type) {
+      case "table":
+        let tableRows = source ? this.store.get(source) : [];
+        if (compute) {
+          try {
+            tableRows = this.store.evalComputed(compute);
+          } catch (err) {
+            console.error(`[H6X] Invalid compute expression "${compute}":`, err.message);
+          }
+        }
+
+        const rowKey = source ? this.store.keyOf(source) : "id";
+        const selection = atom.hasAttribute("select") ? atom.getAttribute("select") || "selectedRow" : null;
+        const selectedRow = selection ? this.store.getState(selection) : null;
+
+        element = this.renderer.table(tableRows, {
+          columns: this.parseColumns(atom.getAttribute("columns")),
+          actions: actions.map(action => ({
+            label: action.name.charAt(0).toUpperCase() + action.name.slice(1),
+            onClick: (row) => this.audit.within(context, () => {
+              this.audit.record("action", { action: action.source, record: row });
+              this.runAction(action, row);
+            })
+          })),
+          sortable: atom.hasAttribute("sortable"),
+          search: atom.hasAttribute("searchable"),
+          pageSize: parseInt(atom.getAttribute("page-size"), 10) || 0,
+          rowKey,
+          selected: selectedRow ? selectedRow[rowKey] : null,
+          onSelect: selection ? (row) => this.audit.within(context, () => this.store.setState(selection, row)) : null,
+          view: this.tableView(atom),
+          virtual: atom.hasAttribute("virtual") || (Array.isArray(tableRows) && tableRows.length > VIRTUAL_THRESHOLD),
+          height: atom.getAttribute("height")
+        });
+        break;
+
+      case "form":
+        const schema = JSON.parse(atom.textContent.trim());
+        const editing = atom.hasAttribute("record");
+        const record = editing ? this.formRecord(atom.getAttribute("record")) : null;
+        element = this.renderer.form(schema, (data) => {
+          console.log("[H6X] Form submitted:", this.audit.mask(data));
+          this.audit.within(context, () => {
+            this.audit.record("submit", { record: data });
+            // Validation errors go back to the form to show next to fields
+            actions.forEach(action => this.runAction(action, data, true));
+          });
+        }, { record, disabled: editing && !record });
+        break;
+
+      case "card":
+        const cardData = JSON.parse(atom.textContent.trim());
+        element = this.renderer.card(cardData);
+        break;
+
+      case "stat":
+        let statData;
+        if (compute) {
+          let value = null;
+          try {
+            value = this.store.evalComputed(compute);
+          } catch (err) {
+            console.error(`[H6X] Invalid compute expression "${compute}":`, err.message);
+          }
+          statData = {
+            value: value,
+            label: atom.getAttribute("label") || "Stat"
+          };
+        } else {
+          statData = JSON.parse(atom.textContent.trim());
+        }
+        element = this.renderer.stat(statData);
+        break;
+
+      case "list":
+        const listData = (source && this.store.get(source)) || [];
+        element = this.renderer.list(listData, {
+          virtual: atom.hasAttribute("virtual") || listData.length > VIRTUAL_THRESHOLD,
+          height: atom.getAttribute("height")
+        });
+        break;
+
+      case "chart":
+        let chartRows = source ? this.store.get(source) : [];
+        if (compute) {
+          try {
+            chartRows = this.store.evalComputed(compute);
+          } catch (err) {
+            console.error(`[H6X] Invalid compute expression "${compute}":`, err.message);
+          }
+        }
+        element = this.renderer.chart(chartRows, {
+          kind: atom.getAttribute("chart-type") || "bar",
+          x: atom.getAttribute("x"),
+          y: (atom.getAttribute("y") || "").split(",").map(key => key.trim()).filter(Boolean),
+          label: atom.getAttribute("label")
+        });
+        break;
+
+      default:
+        if (this.atomDefinitions[type]) {
+          element = this.renderCustomAtom(atom, type);
+          break;
+        }
+        if (this.atomTypes[type]) {
+          element = this.renderPluginAtom(atom, type);
+          break;
+        }
+        console.warn(`[H6X] Unknown atom type: ${type}`);
+        return null;
+    }
+
+    if (element) this.runHooks("afterRender", element, atom);
+
+    return element;
+  }
+
+  /**
+   * A loading or error placeholder while the atom's remote data has not
+   * arrived, or null to render the atom. Once data is there it stays on
+   * screen through failed refreshes.
+   */
+  remoteStatus(atom) {
+    for (const name of this.store.remoteSourcesOf(this.atomDependencies(atom))) {
+      const { status, error, hasData } = this.store.statusOf(name);
+      if (hasData) continue;
+
+      if (status === "error") {
+        return this.renderer.status(`Could not load ${name}: ${error}`, {
+          error: true,
+          onRetry: () => this.store.refresh(name)
+        });
+      }
+      return this.renderer.status(`Loading ${name}…`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve record="tasks:{{selectedId}}": the data set name, then a key
+   * template filled from state. Returns a copy of the row, or null.
+   */
+  formRecord(attr) {
+    const [name, template = ""] = this.splitRecord(attr);
+    const key = this.interpolate(template, this.store.state);
+    if (!name || key === "") return null;
+
+    const rows = this.store.get(name);
+    if (!Array.isArray(rows)) return null;
+
+    const index = this.store.indexOf(rows, this.store.keyOf(name), key);
+    return index === -1 ? null : rows[index];
+  }
+
+  splitRecord(attr) {
+    const colon = attr.indexOf(":");
+    return colon === -1 ? [attr.trim()] : [attr.slice(0, colon).trim(), attr.slice(colon + 1).trim()];
+  }
+
+  /**
+   * Parse columns="title:Title,priority:Priority|badge,due" into
+   * [{ key, label, format }]; the label defaults to the key
+   */
+  parseColumns(attr) {
+    if (!attr) return null;
+
+    return attr.split(",").map(part => part.trim()).filter(Boolean).map(part => {
+      const [column, format] = part.split("|").map(piece => piece.trim());
+      const [key, label] = column.split(":").map(piece => piece.trim());
+      return { key, label: label || key, format: format || null };
+    });
   }
 
   /**
-   * Validate data against schema (basic validation)
+   * Sort/search/page state of a table atom, kept across re-renders
    */
-  validate(data, schema) {
-    // Basic type checking
-    if (schema.type === "array" && !Array.isArray(data)) {
-      throw new Error("Data must be an array");
-    }
-    
-    if (schema.type === "object" && typeof data !== "object") {
-      throw new Error("Data must be an object");
-    }
-
-    // TODO: Add more sophisticated validation
-    return true;
+  tableView(atom) {
+    if (!this.tableViews.has(atom)) this.tableViews.set(atom, {});
+    return this.tableViews.get(atom);
   }
 
   /**
-   * Persist data to IndexedDB
+   * Data for custom and plugin atoms: `compute`, then `source`, then
+   * inline JSON text
    */
-  async persistToIndexedDB(name, data) {
-    // Simple IndexedDB wrapper
-    // In production, this would be more robust
+  atomData(atom) {
+    const source = atom.getAttribute("source");
+    const compute = atom.getAttribute("compute");
+
+    if (compute) {
+      try {
+        return this.store.evalComputed(compute);
+      } catch (err) {
+        console.error(`[H6X] Invalid compute expression "${compute}":`, err.message);
+        return null;
+      }
+    }
+
+    if (source) return this.store.get(source);
+
+    const json = Array.from(atom.childNodes)
+      .filter(child => child.nodeType === child.TEXT_NODE)
+      .map(child => child.nodeValue)
+      .join("")
+      .trim();
+
     try {
-      const db = await this.openDB();
-      const tx = db.transaction("h6x_data", "readwrite");
-      const store = tx.objectStore("h6x_data");
-      await store.put({ name, data, timestamp: Date.now() });
+      return json ? JSON.parse(json) : {};
     } catch (err) {
-      console.error(`[H6X] IndexedDB persist failed:`, err);
+      console.error(`[H6X] Invalid JSON in ${atom.getAttribute("type")} atom:`, err.message);
+      return {};
     }
   }
 
-  /**
-   * Open IndexedDB connection
-   */
-  openDB() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open("h6x_runtime", 1);
-      
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => resolve(request.result);
-      
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains("h6x_data")) {
-          db.createObjectStore("h6x_data", { keyPath: "name" });
-        }
-      };
+  attributesOf(node) {
+    const attributes = {};
+    Array.from(node.attributes).forEach(attr => {
+      attributes[attr.name] = attr.value;
     });
+    return attributes;
   }
 
   /**
-   * Notify components of state changes
+   * Render a plugin atom; the plugin gets a copy of the data and the
+   * atom's attributes and must return a DOM node
    */
-  notifyStateChange(stateName) {
-    window.dispatchEvent(new CustomEvent("h6x:state-change", {
-      detail: { name: stateName, value: this.state[stateName] }
-    }));
-  }
-}
+  renderPluginAtom(atom, type) {
+    let element;
 
-// ============================================================================
-// RENDERER LAYER
-// ============================================================================
+    try {
+      element = this.atomTypes[type](this.atomData(atom), this.attributesOf(atom));
+    } catch (err) {
+      console.error(`[H6X] Plugin atom "${type}" failed to render:`, err);
+      return null;
+    }
 
-class Renderer {
-  constructor(store) {
-    this.store = store;
+    if (!(element instanceof Node)) {
+      console.error(`[H6X] Plugin atom "${type}" must return a DOM node`);
+      return null;
+    }
+
+    this.markPart(element, `atom-${type}`);
+    return element;
   }
 
   /**
-   * Render table atom
+   * Register a custom atom from <h6x-atom-definition name="...">. The
+   * <template> child (or the definition's own children) is the markup.
    */
-  table(rows, options = {}) {
-    const table = document.createElement("table");
-    table.style.width = "100%";
-    table.style.borderCollapse = "collapse";
-    table.style.marginTop = "1rem";
+  defineAtom(node) {
+    const name = node.getAttribute("name");
 
-    if (!rows || rows.length === 0) {
-      table.innerHTML = "<tr><td>No data available</td></tr>";
-      return table;
+    if (!name || !this.isFreeAtomType(name)) {
+      console.error(`[H6X] Invalid atom definition name "${name}"`);
+      return;
     }
 
-    const cols = Object.keys(rows[0] || {});
-    const headerRow = cols.map(c => `<th style="text-align:left;padding:0.5rem;border-bottom:2px solid #374151">${this.sanitize(c)}</th>`).join("");
-    
-    const bodyRows = rows.map((r, idx) => {
-      const cells = cols.map(c => `<td style="padding:0.5rem;border-bottom:1px solid #1f2937">${this.sanitize(r[c])}</td>`).join("");
-      return `<tr style="cursor:pointer" data-row-index="${idx}">${cells}</tr>`;
-    }).join("");
-
-    table.innerHTML = `
-      <thead>${headerRow}</thead>
-      <tbody>${bodyRows}</tbody>
-    `;
-
-    // Add event listener for row clicks if specified
-    if (options.onClick) {
-      table.addEventListener("click", (e) => {
-        const row = e.target.closest("tr[data-row-index]");
-        if (row) {
-          const index = parseInt(row.dataset.rowIndex);
-          options.onClick(rows[index]);
-        }
-      });
-    }
+    const template = node.querySelector("template");
+    const content = this.document.createDocumentFragment();
+    Array.from(template ? template.content.childNodes : node.childNodes)
+      .forEach(child => content.appendChild(child.cloneNode(true)));
 
-    return table;
+    this.atomDefinitions[name] = content;
+    node.remove();
   }
 
   /**
-   * Render form atom
+   * Render a custom atom. With `source`/`compute` the template renders
+   * once per row (or once for an object); otherwise inline JSON in the
+   * atom is the data. Child elements fill the template's slots.
    */
-  form(schema, onSubmit) {
-    const form = document.createElement("form");
-    form.style.display = "flex";
-    form.style.flexDirection = "column";
-    form.style.gap = "1rem";
-    form.style.maxWidth = "500px";
-    form.style.marginTop = "1rem";
-
-    schema.fields.forEach(field => {
-      const wrapper = document.createElement("div");
-      
-      const label = document.createElement("label");
-      label.textContent = field.label;
-      label.style.display = "block";
-      label.style.marginBottom = "0.25rem";
-      label.style.fontWeight = "500";
+  renderCustomAtom(atom, type) {
+    const data = this.atomData(atom);
 
-      let input;
-      
-      if (field.type === "textarea") {
-        input = document.createElement("textarea");
-        input.rows = 4;
-      } else if (field.type === "select") {
-        input = document.createElement("select");
-        field.options.forEach(opt => {
-          const option = document.createElement("option");
-          option.value = opt.value;
-          option.textContent = opt.label;
-          input.appendChild(option);
-        });
-      } else {
-        input = document.createElement("input");
-        input.type = field.type || "text";
-      }
+    // Slot content: children with slot="name", the rest go to the default slot
+    const slots = { "": [] };
+    Array.from(atom.children).forEach(child => {
+      const slot = child.getAttribute("slot") || "";
+      (slots[slot] = slots[slot] || []).push(child);
+    });
 
-      input.name = field.name;
-      input.required = field.required || false;
-      input.style.padding = "0.5rem";
-      input.style.borderRadius = "0.25rem";
-      input.style.border = "1px solid #374151";
-      input.style.background = "#1f2937";
-      input.style.color = "#e5e7eb";
-      input.style.width = "100%";
-      input.style.boxSizing = "border-box";
+    const element = this.renderer.element("div", `atom-${type}`);
+    element.dataset.atom = type;
 
-      wrapper.appendChild(label);
-      wrapper.appendChild(input);
-      form.appendChild(wrapper);
+    const rows = Array.isArray(data) ? data : [data];
+    rows.forEach(row => {
+      const scope = row !== null && typeof row === "object" ? row : { ".": row };
+      element.appendChild(this.templates.render(this.atomDefinitions[type], scope, slots));
     });
 
-    const submitBtn = document.createElement("button");
-    submitBtn.type = "submit";
-    submitBtn.textContent = schema.submitLabel || "Submit";
-    submitBtn.style.padding = "0.5rem 1rem";
-    submitBtn.style.background = "#38bdf8";
-    submitBtn.style.color = "#0b1220";
-    submitBtn.style.border = "none";
-    submitBtn.style.borderRadius = "0.25rem";
-    submitBtn.style.cursor = "pointer";
-    submitBtn.style.fontWeight = "600";
+    return element;
+  }
 
-    form.appendChild(submitBtn);
+  /**
+   * Give a plugin's element the class/part names built-in ones have,
+   * keeping any part name the plugin chose
+   */
+  markPart(node, part) {
+    if (!(node instanceof this.window.Element)) return;
+    node.classList.add(`h6x-${part}`);
+    if (!node.hasAttribute("part")) node.setAttribute("part", part);
+  }
 
-    form.addEventListener("submit", (e) => {
-      e.preventDefault();
-      const formData = new FormData(form);
-      const data = Object.fromEntries(formData.entries());
-      if (onSubmit) onSubmit(data);
-      form.reset();
-    });
+  isFreeAtomType(name) {
+    return !BUILT_IN_ATOMS.includes(name) && !this.atomDefinitions[name] && !this.atomTypes[name];
+  }
 
-    return form;
+  /**
+   * Register an atom type. `render(data, attributes)` returns a DOM node.
+   */
+  registerAtom(name, render) {
+    this.checkRegistration("atom", name, render, this.isFreeAtomType(name));
+    this.atomTypes[name] = render;
   }
 
   /**
-   * Render card atom
+   * Register a layout type. `create(attributes)` returns the layout
+   * element; panels go into its [data-slot] containers.
    */
-  card(data) {
-    const card = document.createElement("div");
-    card.style.padding = "1.5rem";
-    card.style.background = "#1f2937";
-    card.style.borderRadius = "0.5rem";
-    card.style.border = "1px solid #374151";
+  registerLayout(name, create) {
+    const free = !BUILT_IN_LAYOUTS.includes(name) && !this.layoutTypes[name];
+    this.checkRegistration("layout", name, create, free);
+    this.layoutTypes[name] = create;
+  }
 
-    if (data.title) {
-      const title = document.createElement("h3");
-      title.textContent = this.sanitize(data.title);
-      title.style.margin = "0 0 0.5rem 0";
-      title.style.fontSize = "1.25rem";
-      title.style.fontWeight = "600";
-      card.appendChild(title);
-    }
+  /**
+   * Register a computed-expression operator. `args` is "none", "number",
+   * "path" or "condition"; `apply(input, arg)` gets a copy of the input and
+   * a number, a read(item) function or a test(item) predicate.
+   */
+  registerComputedOperator(name, { args = "none", apply } = {}) {
+    const operators = this.store.operators;
+    this.checkRegistration("operator", name, apply, !operators[name]);
 
-    if (data.content) {
-      const content = document.createElement("p");
-      content.textContent = this.sanitize(data.content);
-      content.style.margin = "0";
-      content.style.color = "#9ca3af";
-      card.appendChild(content);
+    if (!["none", "number", "path", "condition"].includes(args)) {
+      throw new Error(`[H6X] Operator "${name}" has unsupported args "${args}"`);
     }
 
-    return card;
+    operators[name] = {
+      args,
+      apply(input, arg, evaluator) {
+        let value = arg;
+        if (args === "path") value = item => structuredClone(evaluator.read(item, arg));
+        if (args === "condition") value = item => evaluator.test(arg, item);
+        return apply(structuredClone(input), value);
+      }
+    };
   }
 
   /**
-   * Render stat atom (for dashboards)
+   * Register a data action usable in action="name(args)"
    */
-  stat(data) {
-    const stat = document.createElement("div");
-    stat.style.padding = "1.5rem";
-    stat.style.background = "#1f2937";
-    stat.style.borderRadius = "0.5rem";
-    stat.style.border = "1px solid #374151";
-    stat.style.textAlign = "center";
-
-    const value = document.createElement("div");
-    value.textContent = this.sanitize(data.value);
-    value.style.fontSize = "2.5rem";
-    value.style.fontWeight = "700";
-    value.style.color = "#38bdf8";
-    value.style.margin = "0 0 0.5rem 0";
-
-    const label = document.createElement("div");
-    label.textContent = this.sanitize(data.label);
-    label.style.color = "#9ca3af";
-    label.style.fontSize = "0.875rem";
-    label.style.textTransform = "uppercase";
-    label.style.letterSpacing = "0.05em";
-
-    stat.appendChild(value);
-    stat.appendChild(label);
-
-    return stat;
+  registerAction(name, handler) {
+    this.checkRegistration("action", name, handler, !this.actions[name]);
+    this.actions[name] = handler;
   }
 
   /**
-   * Render list atom
+   * Add a lifecycle hook: beforeMount(appNode) or afterRender(element, atom)
    */
-  list(items, options = {}) {
-    const list = document.createElement("ul");
-    list.style.listStyle = "none";
-    list.style.padding = "0";
-    list.style.margin = "1rem 0";
-
-    items.forEach((item, idx) => {
-      const li = document.createElement("li");
-      li.style.padding = "0.75rem";
-      li.style.marginBottom = "0.5rem";
-      li.style.background = "#1f2937";
-      li.style.borderRadius = "0.25rem";
-      li.style.border = "1px solid #374151";
-      li.style.cursor = options.onClick ? "pointer" : "default";
-      li.dataset.index = idx;
-
-      if (typeof item === "string") {
-        li.textContent = this.sanitize(item);
-      } else {
-        li.textContent = this.sanitize(item[options.displayKey] || JSON.stringify(item));
-      }
+  on(hook, fn) {
+    if (!this.hooks[hook]) throw new Error(`[H6X] Unknown hook "${hook}"`);
+    if (typeof fn !== "function") throw new Error(`[H6X] Hook "${hook}" needs a function`);
+    this.hooks[hook].push(fn);
+  }
 
-      if (options.onClick) {
-        li.addEventListener("click", () => options.onClick(item));
+  runHooks(hook, ...args) {
+    this.hooks[hook].forEach(fn => {
+      try {
+        fn(...args);
+      } catch (err) {
+        console.error(`[H6X] ${hook} hook failed:`, err);
       }
-
-      list.appendChild(li);
     });
+  }
 
-    return list;
+  checkRegistration(kind, name, fn, free) {
+    if (typeof name !== "string" || !/^[A-Za-z][\w-]*$/.test(name)) {
+      throw new Error(`[H6X] Invalid ${kind} name "${name}"`);
+    }
+    if (typeof fn !== "function") {
+      throw new Error(`[H6X] ${kind} "${name}" needs a function`);
+    }
+    if (!free) {
+      throw new Error(`[H6X] ${kind} "${name}" is already defined`);
+    }
   }
 
   /**
-   * Sanitize user content to prevent XSS
+   * Run a plugin's setup with the plugin API. Plugin scripts call this
+   * as h6x.plugin("name", api => { ... }).
    */
-  sanitize(value) {
-    if (value === null || value === undefined) return "";
-    
-    const str = String(value);
-    const div = document.createElement("div");
-    div.textContent = str;
-    return div.innerHTML;
+  plugin(name, setup) {
+    // A plugin belongs to the runtime whose <h6x-plugin> loaded it, even
+    // when its script reached this one through the window.h6x global
+    const script = this.document.currentScript;
+    const loader = script && PLUGIN_SCRIPTS.get(script);
+    if (loader && loader !== this) return loader.plugin(name, setup);
+
+    if (this.plugins.has(name)) {
+      console.warn(`[H6X] Plugin "${name}" is already registered`);
+      return false;
+    }
+
+    try {
+      setup(this.pluginAPI(name));
+    } catch (err) {
+      console.error(`[H6X] Plugin "${name}" failed to initialize:`, err);
+      return false;
+    }
+
+    this.plugins.set(name, setup);
+    console.log(`[H6X] Plugin registered: ${name}`);
+    return true;
   }
-}
 
-// ============================================================================
-// LAYOUT MANAGER
-// ============================================================================
+  /**
+   * The API a plugin is given: registration, hooks, copies of data and
+   * state, and the actions the page declares or the plugin registered.
+   * It is the supported surface, not a sandbox: plugin scripts run as
+   * page scripts, so integrity hashes are what keeps them trustworthy.
+   */
+  pluginAPI(name) {
+    const own = new Set(); // Actions this plugin registered
+
+    return Object.freeze({
+      name,
+      registerAtom: (atom, render) => this.registerAtom(atom, render),
+      registerLayout: (layout, create) => this.registerLayout(layout, create),
+      registerComputedOperator: (operator, definition) => this.registerComputedOperator(operator, definition),
+      registerAction: (action, handler) => {
+        this.registerAction(action, handler);
+        own.add(action);
+      },
+      on: (hook, fn) => this.on(hook, fn),
+      get: dataName => this.store.get(dataName),
+      getState: stateName => structuredClone(this.store.getState(stateName)),
+      runAction: (source, record) => this.parseActions(source).every(action => {
+        if (!own.has(action.name) && !this.declaredActions.has(this.actionKey(action))) {
+          console.warn(`[H6X] Plugin "${name}" cannot run "${action.source}": no atom declares it`);
+          return false;
+        }
+        return this.runAction(action, record);
+      })
+    });
+  }
 
-class LayoutManager {
   /**
-   * Create dashboard layout
+   * Load <h6x-plugin src integrity>. The script is fetched and its SRI
+   * hash checked with SubtleCrypto before it is allowed to run; plugins
+   * without integrity or with a mismatching hash are refused.
    */
-  dashboard(panels) {
-    const layout = document.createElement("div");
-    layout.style.display = "grid";
-    layout.style.gridTemplateColumns = "220px 1fr";
-    layout.style.height = "100vh";
-    layout.style.overflow = "hidden";
+  async loadPlugin(node) {
+    const src = node.getAttribute("src");
+    const integrity = node.getAttribute("integrity");
 
-    const sidebar = document.createElement("aside");
-    sidebar.style.background = "#1f2937";
-    sidebar.style.borderRight = "1px solid #374151";
-    sidebar.style.padding = "1rem";
-    sidebar.style.overflowY = "auto";
+    try {
+      if (!src || !integrity) {
+        throw new Error("src and integrity attributes are required");
+      }
 
-    const main = document.createElement("main");
-    main.style.padding = "2rem";
-    main.style.overflowY = "auto";
+      const response = await fetch(src, { credentials: "same-origin" });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-    layout.appendChild(sidebar);
-    layout.appendChild(main);
+      const bytes = await response.arrayBuffer();
+      if (!(await this.verifyIntegrity(bytes, integrity))) {
+        throw new Error("integrity check failed");
+      }
 
-    return { layout, sidebar, main };
+      VERIFIED_PLUGIN_URLS.add(src);
+      await this.injectScript(src, integrity);
+      return true;
+    } catch (err) {
+      console.error(`[H6X] Refusing plugin "${src}": ${err.message}`);
+      this.document.dispatchEvent(new this.window.CustomEvent("h6x:plugin-error", {
+        detail: { src, message: err.message }
+      }));
+      return false;
+    } finally {
+      VERIFIED_PLUGIN_URLS.delete(src);
+      node.remove();
+    }
   }
 
   /**
-   * Create split layout
+   * Check bytes against an SRI metadata string ("sha384-... sha512-...").
+   * As in the SRI spec, only the strongest algorithm listed counts.
    */
-  split(orientation = "horizontal") {
-    const layout = document.createElement("div");
-    layout.style.display = "grid";
-    layout.style.gridTemplateColumns = orientation === "horizontal" ? "1fr 1fr" : "1fr";
-    layout.style.gridTemplateRows = orientation === "vertical" ? "1fr 1fr" : "auto";
-    layout.style.gap = "1rem";
-    layout.style.height = "100vh";
-    layout.style.padding = "1rem";
+  async verifyIntegrity(bytes, integrity) {
+    const algorithms = { sha256: "SHA-256", sha384: "SHA-384", sha512: "SHA-512" };
+    const order = Object.keys(algorithms);
+    const hashes = integrity.trim().split(/\s+/)
+      .map(token => /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})(?:\?.*)?$/.exec(token))
+      .filter(Boolean);
 
-    return layout;
+    if (hashes.length === 0) return false;
+
+    const strongest = order[Math.max(...hashes.map(([, alg]) => order.indexOf(alg)))];
+    const digest = new Uint8Array(await crypto.subtle.digest(algorithms[strongest], bytes));
+    const actual = btoa(String.fromCharCode(...digest));
+
+    return hashes.some(([, alg, expected]) => alg === strongest && expected === actual);
   }
 
   /**
-   * Create centered layout
+   * Execute a verified plugin. The browser re-checks the integrity
+   * attribute, so a swapped response between fetches cannot run.
    */
-  centered() {
-    const layout = document.createElement("div");
-    layout.style.display = "flex";
-    layout.style.alignItems = "center";
-    layout.style.justifyContent = "center";
-    layout.style.minHeight = "100vh";
-    layout.style.padding = "2rem";
+  injectScript(src, integrity) {
+    // Pages without an auto-booted runtime still give plugin scripts an
+    // h6x.plugin() to call
+    if (!this.window.h6x) this.window.h6x = PLUGIN_HOST;
 
-    return layout;
+    return new Promise((resolve, reject) => {
+      const script = this.document.createElement("script");
+      script.src = this.scriptURL(src);
+      script.integrity = integrity;
+      script.crossOrigin = "anonymous";
+      PLUGIN_SCRIPTS.set(script, this);
+      script.onload = () => {
+        PLUGIN_SCRIPTS.delete(script);
+        resolve();
+      };
+      script.onerror = () => {
+        PLUGIN_SCRIPTS.delete(script);
+        reject(new Error("script failed to load"));
+      };
+      this.document.head.appendChild(script);
+    });
   }
-}
-
-// ============================================================================
-// MAIN RUNTIME
-// ============================================================================
 
-class H6XRuntime {
-  constructor() {
-    this.store = new Store();
-    this.renderer = new Renderer(this.store);
-    this.layout = new LayoutManager();
-    this.apps = [];
+  /**
+   * Script URLs are the only Trusted Types sink the runtime writes to.
+   * The "h6x" policy throws for any URL loadPlugin has not just verified.
+   */
+  scriptURL(src) {
+    if (typeof trustedTypes === "undefined") return src;
+    if (!pluginPolicy) {
+      pluginPolicy = trustedTypes.createPolicy("h6x", {
+        createScriptURL: url => {
+          if (!VERIFIED_PLUGIN_URLS.has(url)) throw new TypeError(`[H6X] "${url}" has not passed an integrity check`);
+          return url;
+        }
+      });
+    }
+    return pluginPolicy.createScriptURL(src);
   }
 
   /**
-   * Boot the runtime
+   * Parse an action attribute: one or more `name(arg, ...)` calls,
+   * optionally prefixed with "h6x:"
    */
-  boot() {
-    console.log("[H6X] Booting runtime...");
+  parseActions(attr) {
+    if (!attr) return [];
 
-    // Load all data sources
-    document.querySelectorAll("h6x-data").forEach(node => this.store.load(node));
-    
-    // Load all state
-    document.querySelectorAll("h6x-state").forEach(node => this.store.loadState(node));
+    const actions = [];
+    const pattern = /(?:h6x:)?([A-Za-z][\w-]*)\(([^)]*)\)/g;
+    let match;
 
-    // Mount all applications
-    document.querySelectorAll("h6x-app").forEach(app => this.mount(app));
+    while ((match = pattern.exec(attr)) !== null) {
+      actions.push({
+        name: match[1],
+        args: match[2].split(",").map(arg => arg.trim()).filter(Boolean),
+        source: match[0]
+      });
+    }
 
-    console.log("[H6X] Runtime ready");
+    if (actions.length === 0) {
+      console.warn(`[H6X] Invalid action "${attr}"`);
+    }
+
+    return actions;
   }
 
   /**
-   * Mount an application
+   * Identity of an action for matching: "delete(tasks)" and
+   * "h6x:delete( tasks )" are the same action
    */
-  mount(appNode) {
-    const name = appNode.getAttribute("name");
-    const mode = appNode.getAttribute("mode");
+  actionKey(action) {
+    return `${action.name}(${action.args.join(",")})`;
+  }
 
-    console.log(`[H6X] Mounting app: ${name}`);
+  /**
+   * Run a declarative action against a record. Returns false on failure;
+   * with `rethrowValidation`, ValidationErrors propagate (forms show them).
+   */
+  runAction(action, record, rethrowValidation = false) {
+    const handler = this.actions[action.name];
 
-    const layoutNode = appNode.querySelector("h6x-layout");
-    if (!layoutNode) {
-      console.error("[H6X] No layout found in app");
-      return;
+    if (!handler) {
+      console.warn(`[H6X] Unknown action: ${action.name}`);
+      return false;
     }
 
-    const layoutType = layoutNode.getAttribute("type");
-    const layoutConfig = this.layout[layoutType]();
-
-    // Handle different layout types
-    if (layoutType === "dashboard") {
-      this.mountDashboard(appNode, layoutConfig);
-    } else if (layoutType === "split") {
-      this.mountSplit(appNode, layoutConfig);
-    } else if (layoutType === "centered") {
-      this.mountCentered(appNode, layoutConfig);
+    try {
+      handler(action.args, record || {});
+      return true;
+    } catch (err) {
+      console.error(`[H6X] Action "${action.source}" failed:`, err);
+      if (rethrowValidation && err instanceof ValidationError) throw err;
+      return false;
     }
+  }
 
-    appNode.replaceWith(layoutConfig.layout || layoutConfig);
+  /**
+   * Undo the last data change (see History)
+   */
+  undo() {
+    return this.history.undo();
   }
 
   /**
-   * Mount dashboard layout
+   * Redo the last undone data change
    */
-  mountDashboard(appNode, { layout, sidebar, main }) {
-    const panels = appNode.querySelectorAll("h6x-panel");
+  redo() {
+    return this.history.redo();
+  }
 
-    panels.forEach(panel => {
-      const slot = panel.getAttribute("slot");
+  /**
+   * Ctrl/Cmd+Z undoes; Ctrl/Cmd+Shift+Z and Ctrl+Y redo. Text fields keep
+   * the browser's own undo.
+   */
+  handleShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest && e.target.closest("input, textarea, select, [contenteditable]:not([contenteditable='false'])")) return;
 
-      if (slot === "sidebar") {
-        this.renderSidebar(panel, sidebar);
-      } else if (slot === "main") {
-        this.renderPanel(panel, main);
-      }
-    });
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      this.undo();
+    } else if ((key === "z" && e.shiftKey) || (key === "y" && e.ctrlKey)) {
+      this.redo();
+    } else {
+      return;
+    }
+    e.preventDefault();
   }
 
   /**
-   * Mount split layout
+   * Audit attribution of an atom: its app, and its id or type and source
    */
-  mountSplit(appNode, layout) {
-    const panels = appNode.querySelectorAll("h6x-panel");
-    panels.forEach(panel => {
-      const section = document.createElement("section");
-      this.renderPanel(panel, section);
-      layout.appendChild(section);
-    });
+  atomContext(atom) {
+    const app = atom.closest("h6x-app");
+    const type = atom.getAttribute("type");
+    const source = atom.getAttribute("source");
+
+    return {
+      app: app ? app.getAttribute("name") : null,
+      atom: atom.id ? `${type}#${atom.id}` : source ? `${type}[source=${source}]` : type
+    };
   }
 
   /**
-   * Mount centered layout
+   * Record a history entry in the audit trail: changes to the router's
+   * state are navigation, everything else a state change or mutation.
+   * Background refreshes and resets are not user actions.
    */
-  mountCentered(appNode, layout) {
-    const panel = appNode.querySelector("h6x-panel");
-    if (panel) {
-      const container = document.createElement("div");
-      container.style.width = "100%";
-      container.style.maxWidth = "600px";
-      this.renderPanel(panel, container);
-      layout.appendChild(container);
+  auditChange(entry) {
+    if (entry.type === "data") {
+      if (BACKGROUND_OPS.includes(entry.op)) return;
+      this.audit.record("mutation", { name: entry.name, op: entry.op });
+    } else if (entry.name === this.router.stateName) {
+      this.audit.record("navigate", { path: entry.value });
+    } else {
+      this.audit.record("state", { name: entry.name, value: entry.value });
     }
   }
 
   /**
-   * Render sidebar navigation
+   * Names an atom reads from the store (source and compute attributes)
    */
-  renderSidebar(panel, sidebar) {
-    const items = panel.textContent
-      .split("\n")
-      .map(i => i.trim())
-      .filter(Boolean);
+  atomDependencies(atom) {
+    const deps = new Set();
+    const source = atom.getAttribute("source");
+    const compute = atom.getAttribute("compute");
 
-    items.forEach(item => {
-      const btn = document.createElement("button");
-      btn.textContent = item;
-      btn.style.display = "block";
-      btn.style.width = "100%";
-      btn.style.padding = "0.75rem";
-      btn.style.marginBottom = "0.5rem";
-      btn.style.background = "transparent";
-      btn.style.border = "1px solid transparent";
-      btn.style.borderRadius = "0.25rem";
-      btn.style.color = "#e5e7eb";
-      btn.style.textAlign = "left";
-      btn.style.cursor = "pointer";
-      btn.style.transition = "all 0.2s";
-
-      btn.addEventListener("mouseenter", () => {
-        btn.style.background = "#374151";
-      });
+    if (source) deps.add(source);
 
-      btn.addEventListener("mouseleave", () => {
-        btn.style.background = "transparent";
-      });
+    // Edit forms follow their data set and the state in the key template
+    const record = atom.getAttribute("record");
+    if (record) {
+      const [name, template = ""] = this.splitRecord(record);
+      deps.add(name);
+      for (const match of template.matchAll(/\{\{\s*([\w$]+)/g)) deps.add("$" + match[1]);
+    }
 
-      btn.addEventListener("click", () => {
-        console.log(`[H6X] Navigation: ${item}`);
-        // TODO: Implement navigation
-      });
+    if (compute) {
+      try {
+        this.store.dependenciesOf(compute).forEach(dep => deps.add(dep));
+      } catch (err) {
+        // Already reported when the atom rendered
+      }
+    }
 
-      sidebar.appendChild(btn);
-    });
+    return deps;
   }
 
   /**
-   * Render panel content
+   * Track a mounted atom so it re-renders when its dependencies change
    */
-  renderPanel(panel, container) {
-    const atoms = panel.querySelectorAll("h6x-atom");
+  bind(atom, element) {
+    const deps = this.atomDependencies(atom);
+    if (deps.size === 0) return;
 
-    atoms.forEach(atom => {
-      const type = atom.getAttribute("type");
-      const source = atom.getAttribute("source");
-      const compute = atom.getAttribute("compute");
-
-      let element;
-
-      switch (type) {
-        case "table":
-          const data = source ? this.store.get(source) : [];
-          element = this.renderer.table(data);
-          break;
-
-        case "form":
-          const schema = JSON.parse(atom.textContent.trim());
-          element = this.renderer.form(schema, (data) => {
-            console.log("[H6X] Form submitted:", data);
-            // TODO: Handle form submission
-          });
-          break;
+    const binding = { atom, element };
+    binding.unsubscribe = this.store.subscribe(deps, () => this.scheduleUpdate(binding));
+    this.bindings.add(binding);
+  }
 
-        case "card":
-          const cardData = JSON.parse(atom.textContent.trim());
-          element = this.renderer.card(cardData);
-          break;
+  /**
+   * Queue a binding for re-render; all changes made in the same tick
+   * are flushed together so each atom renders at most once
+   */
+  scheduleUpdate(binding) {
+    this.pendingUpdates.add(binding);
+    if (this.pendingUpdates.size > 1) return;
 
-        case "stat":
-          let statData;
-          if (compute) {
-            const value = this.store.evalComputed(compute);
-            statData = {
-              value: value,
-              label: atom.getAttribute("label") || "Stat"
-            };
-          } else {
-            statData = JSON.parse(atom.textContent.trim());
-          }
-          element = this.renderer.stat(statData);
-          break;
+    queueMicrotask(() => this.flushUpdates());
+  }
 
-        case "list":
-          const listData = source ? this.store.get(source) : [];
-          element = this.renderer.list(listData);
-          break;
+  /**
+   * Re-render every queued atom in place
+   */
+  flushUpdates() {
+    const pending = Array.from(this.pendingUpdates);
+    this.pendingUpdates.clear();
 
-        default:
-          console.warn(`[H6X] Unknown atom type: ${type}`);
-          return;
-      }
+    pending.forEach(binding => {
+      if (!this.bindings.has(binding)) return;
 
+      const element = this.renderAtom(binding.atom);
       if (element) {
-        container.appendChild(element);
+        binding.element.replaceWith(element);
+        binding.element = element;
       }
     });
   }
 }
 
+/**
+ * Create a runtime for a document or a subtree of one, such as content
+ * loaded after the page: `await createRuntime({ root: panel }).boot()`.
+ * Runtimes are isolated from each other unless given the same `store`.
+ */
+function createRuntime({ root = globalThis.document, store = null } = {}) {
+  return new H6XRuntime({ root, store });
+}
+
 // ============================================================================
 // AUTO-BOOT
 // ============================================================================
 
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", () => {
-    window.h6x = new H6XRuntime();
-    window.h6x.boot();
-  });
+// A classic <script> boots the page unless it, or <html>, has
+// data-h6x-manual. Node and ES module imports never do (they have no
+// currentScript); they call createRuntime(). The instance exists as soon
+// as this script runs, so later scripts can register migrations
+// (h6x.store.registerMigration) before boot.
+if (typeof document !== "undefined" && document.currentScript) {
+  const manual = document.currentScript.hasAttribute("data-h6x-manual") ||
+    document.documentElement.hasAttribute("data-h6x-manual");
+
+  if (!manual) {
+    window.h6x = createRuntime();
+
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => window.h6x.boot());
+    } else {
+      window.h6x.boot();
+    }
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// CommonJS for Node (the validator and prerender CLIs) and bundlers.
+// Elsewhere a global namespace, which H6Xruntime.mjs re-exports as an
+// ES module.
+const H6X_EXPORTS = {
+  ExpressionParser, ExpressionError, ExpressionEvaluator,
+  SchemaValidator, ValidationError,
+  IndexedDBBackend, RemoteSource, RemoteError, Store,
+  History, AuditLog, ThemeManager,
+  VirtualWindow, Renderer, TemplateEngine, LayoutManager, Router,
+  H6XRuntime, createRuntime
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = H6X_EXPORTS;
 } else {
-  window.h6x = new H6XRuntime();
-  window.h6x.boot();
+  globalThis.H6X = H6X_EXPORTS;
 }
@@ -0,0 +1,25 @@
+/**
+ * HTML-6X Runtime as an ES module. Importing it never auto-boots:
+ *
+ *   import { createRuntime } from "./H6Xruntime.mjs";
+ *
+ *   const runtime = createRuntime({ root: document.querySelector("#orders") });
+ *   await runtime.boot();
+ */
+
+import * as loaded from "./H6Xruntime.js";
+
+// Node loads H6Xruntime.js as CommonJS, so its exports arrive as the
+// default; browsers run it as a module that sets globalThis.H6X
+const H6X = loaded.default || globalThis.H6X;
+
+export const {
+  ExpressionParser, ExpressionError, ExpressionEvaluator,
+  SchemaValidator, ValidationError,
+  IndexedDBBackend, RemoteSource, RemoteError, Store,
+  History, AuditLog, ThemeManager,
+  VirtualWindow, Renderer, TemplateEngine, LayoutManager, Router,
+  H6XRuntime, createRuntime
+} = H6X;
+
+export default H6X;
@@ -10,14 +10,34 @@
  * then atomic components are the building blocks of applications.
  */
 
+// ============================================================================
+// SHARED WITH H6Xruntime.js
+// ============================================================================
+
+// IndexedDBBackend and RemoteSource come from H6Xruntime.js: required in
+// Node, its H6X namespace when it ran as a module (h6x-atomic-runtime.mjs
+// imports it first), or its globals when it ran as a classic script
+function h6xRuntime() {
+  if (typeof module !== 'undefined' && module.exports) return require('./H6Xruntime.js');
+  if (globalThis.H6X) return globalThis.H6X;
+  return {
+    IndexedDBBackend: typeof IndexedDBBackend !== 'undefined' ? IndexedDBBackend : null,
+    RemoteSource: typeof RemoteSource !== 'undefined' ? RemoteSource : null
+  };
+}
+
 // ============================================================================
 // ATOMIC KERNEL - The Nuclear Reactor
 // ============================================================================
 
 class AtomicKernel {
-  constructor() {
-    this.nucleus = new NucleusManager();
-    this.electronCloud = new ElectronShell();
+  // `root` is the document or element whose atoms this kernel boots
+  constructor({ root = globalThis.document } = {}) {
+    this.root = root;
+    this.document = root.ownerDocument || root;
+    this.containers = []; // Rendered atoms
+    this.nucleus = new NucleusManager(proton => this.protonLoaded(proton));
+    this.electronCloud = new ElectronShell(this.document.defaultView);
     this.valenceShell = new BondingManager();
     this.periodicTable = new PeriodicTable();
     
@@ -25,21 +45,30 @@ class AtomicKernel {
   }
 
   boot() {
-    // Parse all atoms in the document
-    document.querySelectorAll('atom').forEach(atomNode => {
+    // Parse all atoms under the root
+    this.root.querySelectorAll('atom').forEach(atomNode => {
       const atom = this.parseAtom(atomNode);
       this.periodicTable.register(atom);
       this.render(atom, atomNode);
     });
 
     // Parse all molecules (composed atoms)
-    document.querySelectorAll('molecule').forEach(molNode => {
+    this.root.querySelectorAll('molecule').forEach(molNode => {
       this.parseMolecule(molNode);
     });
 
     console.log('[⚛️  Atomic Kernel] Reactor online. All atoms stable.');
   }
 
+  /**
+   * Shut the reactor down: drop bond listeners and remove rendered atoms
+   */
+  unmount() {
+    this.electronCloud.disconnect();
+    this.containers.forEach(container => container.remove());
+    this.containers = [];
+  }
+
   parseAtom(atomNode) {
     const name = atomNode.getAttribute('name');
     
@@ -90,7 +119,7 @@ class AtomicKernel {
 
   render(atom, atomNode) {
     // Create container for this atom
-    const container = document.createElement('div');
+    const container = this.document.createElement('div');
     container.className = `atom-${atom.name}`;
     container.dataset.atomicNumber = atom.atomicNumber;
     container.dataset.atomicMass = atom.atomicMass;
@@ -102,9 +131,19 @@ class AtomicKernel {
 
     // Replace atom node with rendered content
     atomNode.replaceWith(container);
+    this.containers.push(container);
     
     return container;
   }
+
+  /**
+   * A proton's data arrived after its atom was parsed (remote data or
+   * IndexedDB hydration): signal bonded atoms with atom:loaded
+   */
+  protonLoaded(proton) {
+    const atom = Array.from(this.periodicTable.elements.values()).find(a => a.protons.includes(proton));
+    if (atom) this.electronCloud.emitEvent('loaded', atom);
+  }
 }
 
 // ============================================================================
@@ -112,9 +151,16 @@ class AtomicKernel {
 // ============================================================================
 
 class NucleusManager {
-  constructor() {
+  // `onLoad(proton)` is called when a proton's data arrives asynchronously
+  constructor(onLoad = () => {}) {
     this.protonData = new Map(); // Stores all proton data
     this.neutronRules = new Map(); // Stores all neutron logic
+    this.onLoad = onLoad;
+
+    // Same database as the H6X runtime's Store; proton records are
+    // namespaced with a "proton:" prefix
+    const { IndexedDBBackend } = h6xRuntime();
+    this.backend = IndexedDBBackend ? new IndexedDBBackend() : null;
   }
 
   extractProtons(atomNode) {
@@ -129,7 +175,8 @@ class NucleusManager {
         cache: node.getAttribute('cache') || 'memory',
         persist: node.getAttribute('persist'),
         fallback: node.getAttribute('fallback'),
-        data: null
+        data: null,
+        fetched: false // Remote data arrived (newer than anything stored)
       };
 
       // Load data synchronously if local
@@ -137,6 +184,11 @@ class NucleusManager {
         proton.data = this.loadLocalData(proton.local);
       }
 
+      // Hydrate IndexedDB-backed protons asynchronously
+      if (proton.local && proton.persist === 'indexeddb') {
+        this.loadFromIndexedDB(proton);
+      }
+
       // Mark for async loading if remote
       if (proton.source) {
         this.loadRemoteData(proton);
@@ -217,26 +269,64 @@ class NucleusManager {
 
   async loadRemoteData(proton) {
     try {
-      const response = await fetch(proton.source);
-      const data = await response.json();
+      // RemoteSource (H6Xruntime.js) adds timeouts and retries
+      const { RemoteSource } = h6xRuntime();
+      let data;
+      if (RemoteSource) {
+        data = (await new RemoteSource(proton.source).fetch()).data;
+      } else {
+        const response = await fetch(proton.source);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        data = await response.json();
+      }
       proton.data = data;
-      
-      if (proton.persist === 'indexeddb') {
+      proton.fetched = true;
+
+      // Without a `local` key there is nothing to store the data under
+      if (proton.persist && !proton.local) {
+        console.warn(`[Proton] Not persisting ${proton.source}: persist needs a local key`);
+      } else if (proton.persist === 'indexeddb') {
         this.persistToIndexedDB(proton.local, data);
       } else if (proton.persist === 'localstorage') {
         localStorage.setItem(proton.local, JSON.stringify(data));
       }
+      this.onLoad(proton);
     } catch (error) {
       console.error(`[Proton] Failed to load ${proton.source}:`, error);
       if (proton.fallback) {
         proton.data = proton.fallback;
+        this.onLoad(proton);
+      }
+    }
+  }
+
+  async loadFromIndexedDB(proton) {
+    if (!this.backend || !this.backend.available()) return;
+
+    try {
+      const stored = await this.backend.get(`proton:${proton.local}`);
+      // The persisted copy wins over the synchronous localStorage read,
+      // but not over remote data that arrived while it was being read
+      if (stored && !proton.fetched) {
+        proton.data = stored.data;
+        this.onLoad(proton);
       }
+    } catch (error) {
+      console.error(`[Proton] Failed to read ${proton.local} from IndexedDB:`, error);
     }
   }
 
   async persistToIndexedDB(key, data) {
-    // IndexedDB persistence logic
-    console.log(`[Proton] Persisting ${key} to IndexedDB`);
+    if (!this.backend || !this.backend.available()) {
+      console.warn(`[Proton] Cannot persist ${key}: ${this.backend ? 'IndexedDB is not available' : 'load H6Xruntime.js first'}`);
+      return;
+    }
+
+    try {
+      await this.backend.put({ name: `proton:${key}`, data, version: 1, timestamp: Date.now() });
+    } catch (error) {
+      console.error(`[Proton] Failed to persist ${key} to IndexedDB:`, error);
+    }
   }
 
   validate(data, neutron) {
@@ -278,9 +368,19 @@ class NucleusManager {
 // ============================================================================
 
 class ElectronShell {
-  constructor() {
+  constructor(win = globalThis.window) {
+    this.window = win;
     this.electrons = new Map();
     this.bonds = new Map(); // Electron sharing between atoms
+    this.listeners = []; // [type, handler] bond listeners on the window
+  }
+
+  /**
+   * Remove every bond listener
+   */
+  disconnect() {
+    this.listeners.forEach(([type, handler]) => this.window.removeEventListener(type, handler));
+    this.listeners = [];
   }
 
   extractElectrons(atomNode) {
@@ -369,7 +469,7 @@ class ElectronShell {
         break;
       
       case 'redirect':
-        window.location.href = electron.redirect;
+        this.window.location.href = electron.redirect;
         break;
       
       default:
@@ -408,7 +508,7 @@ class ElectronShell {
       if (response.ok) {
         console.log('[⚡ Electron] Submit successful');
         if (electron.redirect) {
-          window.location.href = electron.redirect;
+          this.window.location.href = electron.redirect;
         }
       }
     } catch (error) {
@@ -455,10 +555,10 @@ class ElectronShell {
   }
 
   emitEvent(eventName, atom) {
-    const event = new CustomEvent(`atom:${eventName}`, {
+    const event = new this.window.CustomEvent(`atom:${eventName}`, {
       detail: { atom, data: this.gatherProtonData(atom) }
     });
-    window.dispatchEvent(event);
+    this.window.dispatchEvent(event);
     console.log(`[⚡ Electron] Emitted: atom:${eventName}`);
   }
 
@@ -466,7 +566,8 @@ class ElectronShell {
     // Create bond with another atom
     const targetAtomId = electron.bond;
     
-    window.addEventListener(`atom:${electron.listen}`, (event) => {
+    const type = `atom:${electron.listen}`;
+    const handler = (event) => {
       console.log(`[🔗 Bond] ${atom.name} received signal from ${event.detail.atom.name}`);
       
       // Execute bonded action
@@ -474,7 +575,9 @@ class ElectronShell {
         // Refresh this atom's data
         console.log(`[🔗 Bond] Refreshing ${atom.name}`);
       }
-    });
+    };
+    this.window.addEventListener(type, handler);
+    this.listeners.push([type, handler]);
   }
 }
 
@@ -560,14 +663,33 @@ class PeriodicTable {
 // AUTO-BOOT
 // ============================================================================
 
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
+// As in H6Xruntime.js: only a classic <script> without data-h6x-manual
+// (on it or on <html>) boots the page
+if (typeof document !== 'undefined' && document.currentScript &&
+    !document.currentScript.hasAttribute('data-h6x-manual') &&
+    !document.documentElement.hasAttribute('data-h6x-manual')) {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      window.atomicKernel = new AtomicKernel();
+      window.atomicKernel.boot();
+    });
+  } else {
     window.atomicKernel = new AtomicKernel();
     window.atomicKernel.boot();
-  });
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// CommonJS, or a global namespace that h6x-atomic-runtime.mjs re-exports
+const H6X_ATOMIC_EXPORTS = { AtomicKernel, NucleusManager, ElectronShell, BondingManager, PeriodicTable };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = H6X_ATOMIC_EXPORTS;
 } else {
-  window.atomicKernel = new AtomicKernel();
-  window.atomicKernel.boot();
+  globalThis.H6XAtomic = H6X_ATOMIC_EXPORTS;
 }
 
 console.log('⚛️  HTML-6X Atomic Runtime v0.2.0 loaded');
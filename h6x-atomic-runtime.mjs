@@ -0,0 +1,18 @@
+/**
+ * HTML-6X Atomic Runtime as an ES module. Importing it never auto-boots:
+ *
+ *   import { AtomicKernel } from "./h6x-atomic-runtime.mjs";
+ *
+ *   new AtomicKernel({ root: document.querySelector("#widgets") }).boot();
+ */
+
+// The H6X runtime first: its IndexedDB backend and remote loader are shared
+import "./H6Xruntime.mjs";
+import * as loaded from "./h6x-atomic-runtime.js";
+
+// CommonJS exports in Node; globalThis.H6XAtomic in browsers
+const H6XAtomic = loaded.default || globalThis.H6XAtomic;
+
+export const { AtomicKernel, NucleusManager, ElectronShell, BondingManager, PeriodicTable } = H6XAtomic;
+
+export default H6XAtomic;
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * HTML-6X Prerenderer
+ * Renders an H6X page in Node, so it is served as complete HTML. The
+ * browser runtime then re-renders each app from the embedded store
+ * snapshot and swaps it in for the static markup
+ *
+ * Usage: node h6x-prerender.js <file.html> [out.html] [--url=<page url>]
+ *
+ * Needs jsdom (npm install jsdom). --url is the address the page is
+ * served from; remote data sources are resolved against it and fetched
+ * at build time. Without it they load in the browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRuntime } = require(path.join(__dirname, 'H6Xruntime.js'));
+
+/**
+ * Prerender an H6X page; resolves to the rendered HTML
+ */
+async function prerender(html, { url = null } = {}) {
+  let JSDOM;
+  try {
+    ({ JSDOM } = require('jsdom'));
+  } catch (err) {
+    throw new Error('jsdom is required to prerender: npm install jsdom');
+  }
+
+  const dom = new JSDOM(html, { url: url || 'http://localhost/' });
+  try {
+    const runtime = createRuntime({ root: dom.window.document });
+    await runtime.prerender({ remote: Boolean(url) });
+    return dom.serialize();
+  } finally {
+    dom.window.close();
+  }
+}
+
+async function main(args) {
+  const url = (args.find(arg => arg.startsWith('--url=')) || '').slice('--url='.length) || null;
+  const [input, output] = args.filter(arg => !arg.startsWith('--'));
+
+  if (!input) {
+    console.error('Usage: node h6x-prerender.js <file.html> [out.html] [--url=<page url>]');
+    process.exit(1);
+  }
+
+  // The runtime logs progress with console.log; keep stdout for the HTML
+  console.log = console.error;
+
+  try {
+    const html = await prerender(fs.readFileSync(input, 'utf-8'), { url });
+    if (output) {
+      fs.writeFileSync(output, html);
+      console.error(`Prerendered ${input} -> ${output}`);
+    } else {
+      process.stdout.write(html);
+    }
+  } catch (err) {
+    console.error(`Prerender failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { prerender };
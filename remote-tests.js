@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * HTML-6X Remote Data Tests
+ * Runs RemoteSource and the Store's remote data sets against a local HTTP
+ * server, so headers, status codes and aborts go through a real HTTP stack
+ * (test-suite.html covers rendering with an in-page fetch stub)
+ *
+ * Usage: node remote-tests.js
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { RemoteSource, RemoteError, Store } = require(path.join(__dirname, 'H6Xruntime.js'));
+
+const users = [{ id: 1, name: 'Ada' }, { id: 2, name: 'Grace' }];
+
+// Path -> handler(req, res, count); every request is kept in `requests`
+let routes = {};
+let requests = [];
+let base = '';
+
+const server = http.createServer((req, res) => {
+  requests.push({ path: req.url, time: Date.now(), headers: req.headers });
+  const count = requests.filter(r => r.path === req.url).length;
+  const handler = routes[req.url];
+  if (!handler) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end('{"error": "Not found"}');
+    return;
+  }
+  handler(req, res, count);
+});
+
+function json(res, body, headers = {}) {
+  res.writeHead(200, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * A Store with one remote data set, declared as <h6x-data> would be
+ */
+function remoteStore(attributes) {
+  const store = new Store(null);
+  const all = { name: 'users', src: `${base}/api/users`, ...attributes };
+  store.load({
+    getAttribute: name => (name in all ? all[name] : null),
+    hasAttribute: name => name in all,
+    textContent: '',
+    remove() {},
+  });
+  return store;
+}
+
+before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  base = `http://127.0.0.1:${server.address().port}`;
+  resolve();
+})));
+
+after(() => {
+  server.closeAllConnections();
+  return new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  routes = {};
+  requests = [];
+});
+
+describe('Requests', () => {
+  it('asks for JSON and bypasses the HTTP cache', async () => {
+    routes['/api/users'] = (req, res) => json(res, users);
+    assert.deepEqual(await new RemoteSource(`${base}/api/users`).fetch(), { data: users, etag: null });
+
+    const { headers } = requests[0];
+    assert.equal(headers.accept, 'application/json');
+    assert.equal(headers['cache-control'], 'no-cache', 'cache: "no-store" sends no-cache');
+    assert.equal(headers.pragma, 'no-cache');
+    assert.equal(headers['if-none-match'], undefined);
+  });
+
+  it('rejects bodies that are not JSON', async () => {
+    routes['/api/users'] = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<h1>Maintenance</h1>');
+    };
+    const err = await new RemoteSource(`${base}/api/users`, { retries: 3 }).fetch().catch(e => e);
+    assert.ok(err instanceof RemoteError);
+    assert.match(err.message, /is not valid JSON/);
+    assert.equal(requests.length, 1, 'Bad bodies are not retried');
+  });
+});
+
+describe('Revalidation', () => {
+  it('sends If-None-Match and keeps the data on 304', async () => {
+    routes['/api/users'] = (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304, { ETag: '"v1"' });
+        res.end();
+      } else {
+        json(res, users, { ETag: '"v1"' });
+      }
+    };
+    const store = remoteStore({});
+    await store.refresh('users');
+    const fetched = store.data.users;
+    await store.refresh('users');
+
+    assert.equal(requests[1].headers['if-none-match'], '"v1"');
+    assert.equal(store.data.users, fetched, 'A 304 keeps the same rows');
+    assert.equal(store.statusOf('users').status, 'ready');
+    assert.deepEqual(store.history.entries.map(e => e.op), ['fetch'], 'Only new content is logged');
+  });
+});
+
+describe('Retries', () => {
+  it('waits as long as Retry-After says', async () => {
+    routes['/api/users'] = (req, res, count) => {
+      if (count === 1) {
+        res.writeHead(503, { 'Retry-After': '1' });
+        res.end();
+      } else {
+        json(res, users);
+      }
+    };
+    const source = new RemoteSource(`${base}/api/users`, { retries: 1, retryDelay: 1 });
+    assert.deepEqual((await source.fetch()).data, users);
+    assert.ok(requests[1].time - requests[0].time >= 950, 'The retry waits about a second, not retryDelay');
+  });
+
+  it('backs off exponentially on 5xx and never retries 4xx', async () => {
+    routes['/api/users'] = (req, res, count) => {
+      if (count < 3) {
+        res.writeHead(500);
+        res.end();
+      } else {
+        json(res, users);
+      }
+    };
+    await new RemoteSource(`${base}/api/users`, { retries: 3, retryDelay: 20 }).fetch();
+    const [a, b, c] = requests.map(r => r.time);
+    assert.ok(c - b >= b - a, 'Each retry waits longer');
+
+    requests = [];
+    const err = await new RemoteSource(`${base}/api/missing`, { retries: 3, retryDelay: 1 }).fetch().catch(e => e);
+    assert.equal(err.status, 404);
+    assert.equal(requests.length, 1);
+  });
+});
+
+describe('Timeouts', () => {
+  it('aborts a request the server does not answer in time', async () => {
+    let aborted = false;
+    routes['/api/users'] = (req, res) => res.on('close', () => { aborted = !res.writableEnded; });
+    const store = remoteStore({ timeout: '50ms', retries: '0' });
+    await store.refresh('users');
+
+    const status = store.statusOf('users');
+    assert.equal(status.status, 'error');
+    assert.match(status.error, /Timed out after 50ms/);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(aborted, 'The connection is closed, not left hanging');
+  });
+});
@@ -0,0 +1,7 @@
+module.exports = validator => {
+  validator.registerRule('table-label', doc => {
+    doc.elements('h6x-atom')
+      .filter(el => el.get('type') === 'table' && !el.has('label'))
+      .forEach(el => validator.warning('table-label', 'Tables need a label', el));
+  });
+};
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+/**
+ * HTML-6X Validator Tests
+ * Runs the validator CLI against the pages in validator-fixtures/
+ *
+ * Usage: node validator-tests.js
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const H6XValidator = require(path.join(__dirname, 'H6x validator·js'));
+
+const FIXTURES = path.join(__dirname, 'validator-fixtures');
+
+/**
+ * Run the CLI and capture its exit code and stdout, without colors
+ */
+function cli(...argv) {
+  let stdout = '';
+  const code = H6XValidator.run(argv, { write: text => { stdout += text; } });
+  return { code, stdout: stdout.replace(/\x1b\[\d+m/g, '') };
+}
+
+function check(file, config = null) {
+  return new H6XValidator(config).checkFile(file);
+}
+
+// Paths in reports are as given on the command line
+before(() => process.chdir(FIXTURES));
+
+describe('Locations', () => {
+  it('reports line:column of the attribute or element at fault', () => {
+    const found = check('issues.html').filter(d => d.severity !== 'info')
+      .map(d => `${d.rule} ${d.line}:${d.column}`);
+    assert.deepEqual(found, ['unused-data 15:15', 'unknown-data 19:31', 'inline-handler 26:11']);
+  });
+
+  it('prints file:line:column in text output', () => {
+    const { stdout } = cli('--quiet', 'issues.html');
+    assert.match(stdout, /✗ {2}issues\.html:19:31 {2}h6x-atom type="list" refers to unknown data "taks" - did you mean "tasks"\? {2}\[unknown-data\]/);
+  });
+
+  it('counts columns from 1 on attributes that follow a line break', () => {
+    const handler = check('issues.html').find(d => d.rule === 'inline-handler');
+    assert.equal(handler.line, 26);
+    assert.equal(handler.column, 11);
+  });
+});
+
+describe('Disable comments', () => {
+  it('silences the listed rule on the next line only', () => {
+    const handlers = check('issues.html').filter(d => d.rule === 'inline-handler');
+    assert.equal(handlers.length, 1, 'The button under the comment is not reported');
+    assert.equal(handlers[0].line, 26);
+  });
+
+  it('leaves other rules on the next line reported', () => {
+    const source = fs.readFileSync('issues.html', 'utf-8')
+      .replace('<!-- h6x-disable-next-line inline-handler -->', '<!-- h6x-disable-next-line unknown-data -->');
+    const handlers = new H6XValidator().check(source, 'issues.html').filter(d => d.rule === 'inline-handler');
+    assert.deepEqual(handlers.map(d => d.line), [24, 26]);
+  });
+
+  it('silences every rule without a list', () => {
+    const source = fs.readFileSync('issues.html', 'utf-8')
+      .replace('        <h6x-atom type="list"', '        <!-- h6x-disable-next-line -->\n        <h6x-atom type="list"');
+    const diagnostics = new H6XValidator().check(source, 'issues.html');
+    assert.equal(diagnostics.filter(d => d.rule === 'unknown-data').length, 0);
+  });
+});
+
+describe('References and atom data', () => {
+  const diagnostics = () => check('references.html').filter(d => d.severity !== 'info');
+  const at = rule => diagnostics().filter(d => d.rule === rule).map(d => `${d.line}:${d.column} ${d.message}`);
+
+  it('reports every problem once, where it is', () => {
+    assert.deepEqual(diagnostics().map(d => `${d.severity} ${d.rule} ${d.line}:${d.column}`), [
+      'error schema-unknown 14:28',
+      'error duplicate-name 15:15',
+      'error compute-syntax 16:59',
+      'error unknown-data 17:27',
+      'warning unknown-state 17:27',
+      'error unknown-data 20:59',
+      'error form-data 22:9',
+      'error form-data 22:9',
+      'warning form-data 22:9',
+      'error form-data 22:9',
+      'warning card-data 23:9',
+      'warning stat-data 24:9',
+      'warning stat-data 25:31',
+    ]);
+  });
+
+  it('flags unknown schemas and repeated data names', () => {
+    assert.deepEqual(at('schema-unknown'), ['14:28 h6x-data "tasks" references unknown schema "taks"']);
+    assert.deepEqual(at('duplicate-name'), ['15:15 h6x-data "tasks" is declared more than once']);
+  });
+
+  it('points compute syntax errors at the offending column', () => {
+    assert.deepEqual(at('compute-syntax'),
+      ['16:59 h6x-data "open" compute="tasks.filter(done=false": Unexpected end of expression at column 24']);
+  });
+
+  it('resolves the data and state a compute reads', () => {
+    assert.equal(at('unknown-data')[0], '17:27 h6x-data "late" compute refers to unknown data "projects"');
+    assert.deepEqual(at('unknown-state'), ['17:27 h6x-data "late" compute reads state "user", which nothing declares or sets']);
+  });
+
+  it('checks action targets, with a suggestion', () => {
+    assert.deepEqual(at('unknown-data').slice(1),
+      ['20:59 h6x-atom type="table" action delete(task) refers to unknown data "task" - did you mean "tasks"?']);
+    assert.ok(!diagnostics().some(d => d.line === 21), 'delete(tasks) names a declared data set');
+  });
+
+  it('checks form fields one by one', () => {
+    assert.deepEqual(at('form-data').map(line => line.replace(/^22:9 h6x-atom type="form" /, '')), [
+      'fields[1] repeats the field name "title"',
+      'fields[2] needs a "name"',
+      'fields[3] has unknown type "datetime" - it renders as a text input',
+      'fields[4] (select) needs "options" as a list of {"value", "label"}',
+    ]);
+  });
+
+  it('warns about cards and stats that render empty', () => {
+    assert.deepEqual(at('card-data'), ['23:9 h6x-atom type="card" has neither "title" nor "content" - it renders empty']);
+    assert.deepEqual(at('stat-data'), [
+      '24:9 h6x-atom type="stat" is missing "value"',
+      '25:31 h6x-atom type="stat" ignores source - use compute="name.count" or inline JSON',
+    ]);
+  });
+});
+
+describe('Fixes', () => {
+  it('adds charset, viewport, mode and a <style> hiding H6X tags', () => {
+    const { code, stdout } = cli('--quiet', '--fix-dry-run', 'fixable.html');
+    const diff = stdout.slice(0, stdout.indexOf('HTML-6X Validator'));
+    assert.equal(diff, [
+      '--- a/fixable.html',
+      '+++ b/fixable.html',
+      '@@ -1,10 +1,18 @@',
+      ' <!DOCTYPE html>',
+      ' <html lang="en">',
+      ' <head>',
+      '+  <meta charset="utf-8">',
+      '+  <meta name="viewport" content="width=device-width, initial-scale=1">',
+      '   <title>Tasks</title>',
+      '+  <style>',
+      '+    /* Hide H6X tags until runtime processes them */',
+      '+    h6x-app, h6x-data, h6x-layout, h6x-panel, h6x-atom {',
+      '+      display: none;',
+      '+    }',
+      '+  </style>',
+      ' </head>',
+      ' <body>',
+      '-  <h6x-app name="tasks">',
+      '+  <h6x-app name="tasks" mode="deterministic">',
+      '     <h6x-data name="tasks">[{"id": 1, "title": "Write tests", "done": false}]</h6x-data>',
+      '     <h6x-layout type="centered">',
+      '       <h6x-panel slot="main">',
+      '', ''].join('\n'));
+    assert.match(stdout, /Would fix 4 issue\(s\)/);
+    assert.equal(code, 1, 'The missing CSP is left for the author');
+  });
+
+  it('suggests a CSP without inserting one', () => {
+    const { stdout } = cli('--quiet', '--fix-dry-run', 'fixable.html');
+    assert.doesNotMatch(stdout, /^\+.*Content-Security-Policy/m);
+    assert.match(stdout, /for example "default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline'; object-src 'none'; base-uri 'none'" {2}\[csp-missing\]/);
+  });
+
+  it('appends the hide rule to an existing <style>', () => {
+    const { code, stdout } = cli('--quiet', '--fix-dry-run', 'fixable-style.html');
+    assert.ok(stdout.startsWith([
+      '--- a/fixable-style.html',
+      '+++ b/fixable-style.html',
+      '@@ -7,6 +7,11 @@',
+      '   <title>Tasks</title>',
+      '   <style>',
+      '     body { margin: 0; }',
+      '+',
+      '+    /* Hide H6X tags until runtime processes them */',
+      '+    h6x-app, h6x-data, h6x-layout, h6x-panel, h6x-atom {',
+      '+      display: none;',
+      '+    }',
+      '   </style>',
+      ' </head>',
+      ' <body>',
+      ''].join('\n')), stdout);
+    assert.equal(code, 0);
+  });
+
+  it('prints no diff for a file with nothing to fix', () => {
+    const { stdout } = cli('--quiet', '--fix-dry-run', 'clean.html');
+    assert.ok(stdout.startsWith('HTML-6X Validator'), stdout);
+  });
+
+  it('writes the fixes and leaves the rest of the file byte for byte', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'h6x-'));
+    const file = path.join(dir, 'fixable.html');
+    const source = fs.readFileSync('fixable.html', 'utf-8').replace(/\n/g, '\r\n');
+    fs.writeFileSync(file, source);
+
+    try {
+      cli('--quiet', '--fix', file);
+      const fixed = fs.readFileSync(file, 'utf-8');
+      assert.ok(!/[^\r]\n/.test(fixed), 'Inserted lines keep the file\'s CRLF endings');
+      assert.equal(H6XValidator.fixSource(fixed, file).fixed, 0, 'Nothing is left to fix');
+      const kept = line => fixed.includes(line);
+      assert.ok(source.split('\r\n').filter(line => !line.includes('<h6x-app')).every(kept));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Output formats', () => {
+  it('text lists errors and warnings with a verdict', () => {
+    const { stdout } = cli('--quiet', 'issues.html');
+    assert.match(stdout, /Warnings \(1\):\n {2}⚠ {2}issues\.html:15:15 /);
+    assert.match(stdout, /Errors \(2\):/);
+    assert.match(stdout, /✗ FAILED/);
+    assert.doesNotMatch(stdout, /Info:/, '--quiet hides info lines');
+  });
+
+  it('json carries a summary and every diagnostic', () => {
+    const report = JSON.parse(cli('--quiet', '--format', 'json', 'issues.html', 'clean.html').stdout);
+    assert.deepEqual(report.summary, { files: 2, errors: 2, warnings: 1, infos: 0, fixed: 0, passed: false });
+    assert.deepEqual(report.files[0].diagnostics[1], {
+      rule: 'unknown-data',
+      severity: 'error',
+      message: 'h6x-atom type="list" refers to unknown data "taks" - did you mean "tasks"?',
+      file: 'issues.html',
+      line: 19,
+      column: 31,
+    });
+    assert.deepEqual(report.files[1].diagnostics, []);
+  });
+
+  it('sarif has one result per diagnostic with its rule and region', () => {
+    const [run] = JSON.parse(cli('--quiet', '--format', 'sarif', 'issues.html').stdout).runs;
+    assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['unused-data', 'unknown-data', 'inline-handler']);
+    assert.deepEqual(run.results.map(result => [result.ruleId, result.level]),
+      [['unused-data', 'warning'], ['unknown-data', 'error'], ['inline-handler', 'error']]);
+    assert.deepEqual(run.results[2].locations[0].physicalLocation, {
+      artifactLocation: { uri: 'issues.html' },
+      region: { startLine: 26, startColumn: 11 },
+    });
+  });
+
+  it('junit has a suite per file, with errors as failures', () => {
+    const { stdout } = cli('--quiet', '--format', 'junit', 'issues.html', 'clean.html');
+    assert.match(stdout, /<testsuites name="h6x-validator" tests="4" failures="2" errors="0">/);
+    assert.match(stdout, /<testsuite name="issues\.html" tests="3" failures="2" errors="0">/);
+    assert.match(stdout, /<testcase classname="issues\.html" name="unknown-data at issues\.html:19:31">\n\s*<failure type="error" message="h6x-atom type=&quot;list&quot;/);
+    assert.match(stdout, /<testcase classname="clean\.html" name="h6x-validator"\/>/);
+  });
+});
+
+describe('File arguments', () => {
+  const json = (...paths) => JSON.parse(cli('--quiet', '--format', 'json', ...paths).stdout);
+  const topLevel = () => fs.readdirSync('.').filter(file => file.endsWith('.html'));
+
+  it('validates the pages in a directory with their .h6xrc.json', () => {
+    const report = json('config');
+    assert.deepEqual(report.files.map(file => file.file), [path.join('config', 'page.html')]);
+    assert.ok(report.files[0].diagnostics.some(d => d.rule === 'table-label'), 'The plugin next to the page is loaded');
+  });
+
+  it('expands ** across subdirectories', () => {
+    const files = json('**/*.html').files.map(file => file.file);
+    assert.deepEqual(files.sort(), [...topLevel(), 'config/page.html'].sort());
+    assert.deepEqual(json('*.html').files.map(file => file.file).sort(), topLevel().sort(), '* stays in one directory');
+  });
+
+  it('is 2 when a glob matches nothing', () => {
+    const write = process.stderr.write;
+    let stderr = '';
+    process.stderr.write = text => { stderr += text; return true; };
+    try {
+      assert.equal(cli('nothing/**/*.html').code, 2);
+      assert.equal(cli('config/*.htm').code, 2);
+    } finally {
+      process.stderr.write = write;
+    }
+    assert.match(stderr, /No files match nothing\/\*\*\/\*\.html\n/);
+  });
+
+  it('adds up the summary across files', () => {
+    const report = json('issues.html', 'warnings.html', 'config', 'issues.html');
+    const count = severity => report.files
+      .reduce((sum, file) => sum + file.diagnostics.filter(d => d.severity === severity).length, 0);
+    assert.equal(report.files.length, 3, 'A file named twice is validated once');
+    assert.deepEqual(report.summary, {
+      files: 3, errors: count('error'), warnings: count('warning'), infos: 0, fixed: 0, passed: false,
+    });
+
+    const { stdout } = cli('--quiet', 'issues.html', 'warnings.html', 'config');
+    assert.match(stdout, new RegExp(`3 files: ${count('error')} error\\(s\\), ${count('warning')} warning\\(s\\)`));
+  });
+});
+
+describe('Exit codes', () => {
+  it('is 0 with warnings only, 1 with errors', () => {
+    assert.equal(cli('--quiet', 'warnings.html').code, 0);
+    assert.equal(cli('--quiet', 'issues.html').code, 1);
+  });
+
+  it('--strict fails on any warning', () => {
+    assert.equal(cli('--quiet', '--strict', 'clean.html').code, 0);
+    assert.equal(cli('--quiet', '--strict', 'warnings.html').code, 1);
+  });
+
+  it('--max-warnings fails above the limit', () => {
+    assert.equal(cli('--quiet', '--max-warnings', '1', 'warnings.html').code, 0);
+    assert.equal(cli('--quiet', '--max-warnings=0', 'warnings.html').code, 1);
+    assert.equal(cli('--quiet', '--max-warnings', '1', 'warnings.html', 'issues.html', '--format', 'json').code, 1);
+  });
+
+  it('is 2 on usage errors', () => {
+    const write = process.stderr.write;
+    process.stderr.write = () => true;
+    try {
+      assert.equal(cli('--max-warnings', 'many', 'clean.html').code, 2);
+      assert.equal(cli('--format', 'xml', 'clean.html').code, 2);
+      assert.equal(cli('missing-*.html').code, 2);
+    } finally {
+      process.stderr.write = write;
+    }
+  });
+});
+
+describe('Configuration', () => {
+  /**
+   * Run the CLI and capture stderr too, where config errors go
+   */
+  function cliErr(...argv) {
+    const write = process.stderr.write;
+    let stderr = '';
+    process.stderr.write = text => { stderr += text; return true; };
+    try {
+      return { ...cli(...argv), stderr };
+    } finally {
+      process.stderr.write = write;
+    }
+  }
+
+  // "<mark> <rule> <line:column>" per reported line, in report order
+  const found = stdout => (stdout.match(/(✗|⚠|ℹ) {2}\S+ .*\[[\w-]+\]/g) || [])
+    .map(line => line.replace(/^(\S+) {2}config\/page\.html:(\d+:\d+) .*\[([\w-]+)\]$/, '$1 $3 $2'));
+
+  it('without a config, reports the built-in severities', () => {
+    const source = fs.readFileSync('config/page.html', 'utf-8');
+    const diagnostics = new H6XValidator().check(source, 'page.html').filter(d => d.severity !== 'info');
+    assert.deepEqual(diagnostics.map(d => `${d.severity} ${d.rule} ${d.line}:${d.column}`),
+      ['error runtime-script 12:1', 'warning unused-data 15:15', 'error inline-handler 22:11']);
+  });
+
+  it('applies the nearest .h6xrc.json: severities, group options and plugins', () => {
+    const { code, stdout } = cli('--quiet', 'config/page.html');
+    assert.deepEqual(found(stdout), ['⚠ table-label 18:9', '⚠ inline-handler 22:11', '✗ unused-data 15:15']);
+    assert.doesNotMatch(stdout, /runtime-script/, 'The runtime option accepts the CDN build');
+    assert.equal(code, 1);
+  });
+
+  it('--config replaces the nearest .h6xrc.json', () => {
+    const { code, stdout } = cli('--config', 'config/off.json', 'config/page.html');
+    assert.deepEqual(found(stdout), ['ℹ unused-data 15:15', '✗ runtime-script 12:1']);
+    assert.doesNotMatch(stdout, /inline-handler/, '"off" silences the whole security group');
+    assert.doesNotMatch(stdout, /table-label/, 'Plugins come only from the config in use');
+    assert.equal(code, 1);
+  });
+
+  it('normalizes severities, options and plugin paths', () => {
+    const config = H6XValidator.loadConfig(path.join('config', '.h6xrc.json'));
+    assert.deepEqual(config.rules['unused-data'], { severity: 'error', options: {} });
+    assert.deepEqual(config.rules['best-practices'], { severity: null, options: { runtime: 'cdn\\.example\\.com/h6x\\.min\\.js$' } });
+    assert.deepEqual(config.plugins, [path.join(FIXTURES, 'config', 'table-label.js')]);
+    assert.deepEqual(H6XValidator.loadConfig('config/off.json').rules.references, { severity: 'info', options: {} });
+  });
+
+  it('exits 2 with the reason on a bad config', () => {
+    const severity = cliErr('--config', 'config/bad-severity.json', 'clean.html');
+    assert.equal(severity.code, 2);
+    assert.match(severity.stderr, /rule "unused-data" has unknown severity "fatal" \(expected off, info, warning, error\)/);
+
+    const plugin = cliErr('--config', 'config/bad-plugin.json', 'clean.html');
+    assert.equal(plugin.code, 2);
+    assert.match(plugin.stderr, /cannot load plugin .*page\.html/);
+
+    const broken = cliErr('--config', 'config/broken.json', 'clean.html');
+    assert.equal(broken.code, 2);
+    assert.match(broken.stderr, /^config\/broken\.json: /);
+    assert.equal(broken.stdout, '', 'Nothing is validated');
+  });
+
+  it('registerRule rejects bad names, non-functions and duplicates', () => {
+    const validator = new H6XValidator();
+    validator.registerRule('table-label', () => {});
+    assert.throws(() => validator.registerRule('Table Label', () => {}), /Invalid rule name "Table Label"/);
+    assert.throws(() => validator.registerRule('table-caption', 'check'), /Rule "table-caption" needs a function/);
+    assert.throws(() => validator.registerRule('table-label', () => {}), /Rule "table-label" is already defined/);
+    assert.throws(() => validator.registerRule('security', () => {}), /Rule "security" is already defined/);
+  });
+});